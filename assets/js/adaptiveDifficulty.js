@@ -0,0 +1,86 @@
+// SuperMind Trainer - Adaptive Difficulty
+
+import { DIFFICULTY_LEVELS } from './questionGenerator.js';
+
+/**
+ * Adjusts the difficulty level from recent accuracy and response time
+ * Moving up a level widens the factor range and unlocks harder rules; moving down narrows it.
+ */
+export class AdaptiveDifficulty {
+  /**
+   * @param {Object} options - Tuning options
+   * @param {string} options.startLevel - Initial difficulty level
+   * @param {number} options.windowSize - Number of recent answers considered
+   * @param {number} options.minAnswersPerLevel - Answers required before the level can change again
+   * @param {number} options.raiseAccuracy - Accuracy (0..1) required to move up
+   * @param {number} options.lowerAccuracy - Accuracy (0..1) below which to move down
+   * @param {number} options.fastResponseMs - Average response time required to move up
+   * @param {number} options.slowResponseMs - Average response time above which to move down
+   */
+  constructor({
+    startLevel = 'medium',
+    windowSize = 5,
+    minAnswersPerLevel = 3,
+    raiseAccuracy = 0.8,
+    lowerAccuracy = 0.5,
+    fastResponseMs = 6000,
+    slowResponseMs = 15000
+  } = {}) {
+    const startIndex = DIFFICULTY_LEVELS.indexOf(startLevel === 'normal' ? 'medium' : startLevel);
+    this.levelIndex = startIndex === -1 ? 1 : startIndex;
+    this.windowSize = windowSize;
+    this.minAnswersPerLevel = minAnswersPerLevel;
+    this.raiseAccuracy = raiseAccuracy;
+    this.lowerAccuracy = lowerAccuracy;
+    this.fastResponseMs = fastResponseMs;
+    this.slowResponseMs = slowResponseMs;
+    this.recent = [];
+  }
+
+  /**
+   * Get the current difficulty level
+   * @returns {string} Difficulty level
+   */
+  getLevel() {
+    return DIFFICULTY_LEVELS[this.levelIndex];
+  }
+
+  /**
+   * Record an answer and adjust the level if needed
+   * @param {boolean} isCorrect - Whether the answer was correct
+   * @param {number} responseTime - Response time in ms
+   * @returns {string} Difficulty level for the next question
+   */
+  record(isCorrect, responseTime) {
+    this.recent.push({ isCorrect, responseTime });
+    if (this.recent.length > this.windowSize) {
+      this.recent.shift();
+    }
+    if (this.recent.length < this.minAnswersPerLevel) {
+      return this.getLevel();
+    }
+
+    const accuracy = this.recent.filter(a => a.isCorrect).length / this.recent.length;
+    const averageTime = this.recent.reduce((sum, a) => sum + a.responseTime, 0) / this.recent.length;
+
+    if (accuracy >= this.raiseAccuracy && averageTime <= this.fastResponseMs) {
+      this.changeLevel(1);
+    } else if (accuracy < this.lowerAccuracy || averageTime >= this.slowResponseMs) {
+      this.changeLevel(-1);
+    }
+
+    return this.getLevel();
+  }
+
+  /**
+   * Move the level up or down, starting a fresh window when it changes
+   * @param {number} step - +1 or -1
+   */
+  changeLevel(step) {
+    const next = Math.min(DIFFICULTY_LEVELS.length - 1, Math.max(0, this.levelIndex + step));
+    if (next !== this.levelIndex) {
+      this.levelIndex = next;
+      this.recent = [];
+    }
+  }
+}
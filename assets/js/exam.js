@@ -1,7 +1,31 @@
 // SuperMind Trainer - Exam Mode
 
-import { questionGenerator } from './questionGenerator.js';
-import { Storage, Timer, formatTime, playSound, showNotification } from './utils.js';
+import { questionGenerator, getFactorOptions, DEFAULT_FACTOR_SELECTION, getOperatorSymbol } from './questionGenerator.js';
+import { getScoringPolicy, scoreResults } from './scoring.js';
+import { IntegrityMonitor } from './integrityLog.js';
+import { OFFICIAL_PRESETS, getPresetSettings, getConfigFingerprint } from './examPresets.js';
+import { Storage, Timer, NumericEntry, formatTime, playSound, showNotification, generateSeed, takeNextSessionSeed, isTouchDevice } from './utils.js';
+
+// Storage key of the exam in progress (cleared once it is submitted or discarded)
+const PROGRESS_KEY = 'examInProgress';
+
+/**
+ * Whether this page was opened by reloading it (not by navigating to it)
+ * @returns {boolean} True after a reload
+ */
+function isPageReload() {
+  const [navigation] = performance.getEntriesByType?.('navigation') || [];
+  return navigation?.type === 'reload';
+}
+
+/**
+ * Time since a saved exam was last saved (its clock keeps running while the page is closed)
+ * @param {Object} state - State saved by saveProgress
+ * @returns {number} Time away in ms
+ */
+function getTimeAwayMs(state) {
+  return state.savedAt ? Math.max(0, Date.now() - state.savedAt) : 0;
+}
 
 /**
  * Exam Mode Controller
@@ -15,14 +39,18 @@ export class ExamController {
     this.startTime = null;
     this.questionTimer = null;
     this.examTimer = null;
+    this.sectionTimer = null;
+    this.sections = null;
+    this.integrity = null;
     this.settings = this.loadSettings();
+    this.nextSeed = takeNextSessionSeed();
     this.isAnswered = false;
     this.questionStartTime = null;
     this.warningShown = false;
     
     this.initializeElements();
     this.bindEvents();
-    this.startExam();
+    this.checkForSavedExam();
   }
 
   /**
@@ -34,7 +62,9 @@ export class ExamController {
       currentQuestionEl: document.getElementById('current-question'),
       totalQuestionsEl: document.getElementById('total-questions'),
       progressFillEl: document.getElementById('progress-fill'),
+      questionPaletteEl: document.getElementById('question-palette'),
       timeRemainingEl: document.getElementById('time-remaining'),
+      timeRemainingGroupEl: document.querySelector('.time-remaining'),
       
       // Timer elements
       timerDisplayEl: document.getElementById('timer-display'),
@@ -42,19 +72,56 @@ export class ExamController {
       
       // Question elements
       factorAEl: document.getElementById('factor-a'),
+      operatorEl: document.querySelector('.math-problem .operator'),
       factorBEl: document.getElementById('factor-b'),
       answerOptionsEl: document.getElementById('answer-options'),
       
+      // Typed answer elements
+      typedAnswerEl: document.getElementById('typed-answer'),
+      typedAnswerDisplayEl: document.getElementById('typed-answer-display'),
+      numericKeypadEl: document.getElementById('numeric-keypad'),
+      
       // Action buttons
       prevBtnEl: document.getElementById('prev-btn'),
       nextBtnEl: document.getElementById('next-btn'),
+      flagBtnEl: document.getElementById('flag-btn'),
       endExamBtnEl: document.getElementById('end-exam-btn'),
       
+      // Review modal
+      reviewModalEl: document.getElementById('review-modal'),
+      reviewAnsweredCountEl: document.getElementById('review-answered-count'),
+      reviewUnansweredSectionEl: document.getElementById('review-unanswered-section'),
+      reviewUnansweredEl: document.getElementById('review-unanswered'),
+      reviewFlaggedSectionEl: document.getElementById('review-flagged-section'),
+      reviewFlaggedEl: document.getElementById('review-flagged'),
+      reviewAllDoneEl: document.getElementById('review-all-done'),
+      reviewBackBtnEl: document.getElementById('review-back'),
+      reviewSubmitBtnEl: document.getElementById('review-submit'),
+      reviewSubmitLabelEl: document.getElementById('review-submit-label'),
+
+      // Timed sections
+      sectionIndicatorEl: document.getElementById('section-indicator'),
+      answerRulesEl: document.getElementById('answer-rules'),
+      sectionTransitionModalEl: document.getElementById('section-transition-modal'),
+      sectionTransitionTitleEl: document.getElementById('section-transition-title'),
+      sectionAnsweredEl: document.getElementById('section-answered'),
+      nextSectionInfoEl: document.getElementById('next-section-info'),
+      nextSectionTimeEl: document.getElementById('next-section-time'),
+      startNextSectionBtnEl: document.getElementById('start-next-section'),
+      
       // Completion modal
       examCompletionModalEl: document.getElementById('exam-completion-modal'),
       examTotalQuestionsEl: document.getElementById('exam-total-questions'),
       examTimeTakenEl: document.getElementById('exam-time-taken'),
       viewExamResultsBtnEl: document.getElementById('view-exam-results'),
+
+      // Resume modal
+      resumeExamModalEl: document.getElementById('resume-exam-modal'),
+      resumeAnsweredEl: document.getElementById('resume-answered'),
+      resumeTimeRemainingEl: document.getElementById('resume-time-remaining'),
+      resumeTimeAwayEl: document.getElementById('resume-time-away'),
+      resumeExamBtnEl: document.getElementById('resume-exam'),
+      discardExamBtnEl: document.getElementById('discard-exam'),
     };
   }
 
@@ -70,9 +137,37 @@ export class ExamController {
       }
     });
 
+    // Typed answer entry (keyboard and on-screen keypad); Enter moves on like Next
+    this.numericEntry = new NumericEntry({
+      displayEl: this.elements.typedAnswerDisplayEl,
+      keypadEl: this.elements.numericKeypadEl,
+      onChange: (value) => {
+        this.typedAnswers[this.currentIndex] = value;
+        this.renderPalette();
+        this.updateNavButtonsState();
+        this.saveProgress();
+      },
+      onSubmit: () => this.goNext()
+    });
+
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
-      if (e.key >= '1' && e.key <= '4') {
+      // The next section starts only from its button
+      if (this.awaitingSection) return;
+
+      if (this.isReviewOpen()) {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          this.hideReviewScreen();
+        }
+        return;
+      }
+
+      if (this.isTypedMode() && this.numericEntry.handleKeydown(e)) {
+        return;
+      }
+
+      if (!this.isTypedMode() && this.isOptionKey(e.key)) {
         e.preventDefault();
         this.selectAnswer(parseInt(e.key));
       } else if (e.key === 'ArrowRight' || e.key === 'n' || e.key === 'N') {
@@ -81,6 +176,9 @@ export class ExamController {
       } else if (e.key === 'ArrowLeft' || e.key === 'p' || e.key === 'P') {
         e.preventDefault();
         this.goPrev();
+      } else if (e.key === 'f' || e.key === 'F') {
+        e.preventDefault();
+        this.toggleFlag();
       } else if (e.key === 'e' || e.key === 'E') {
         e.preventDefault();
         this.requestEndExam();
@@ -90,11 +188,51 @@ export class ExamController {
     // Action buttons
     this.elements.prevBtnEl?.addEventListener('click', () => this.goPrev());
     this.elements.nextBtnEl?.addEventListener('click', () => this.goNext());
+    this.elements.flagBtnEl?.addEventListener('click', () => this.toggleFlag());
     this.elements.endExamBtnEl?.addEventListener('click', () => this.requestEndExam());
+
+    // Question palette and review lists jump to the clicked question
+    this.elements.questionPaletteEl?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.palette-btn');
+      if (btn) this.jumpToQuestion(parseInt(btn.dataset.index));
+    });
+    [this.elements.reviewUnansweredEl, this.elements.reviewFlaggedEl].forEach(listEl => {
+      listEl?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.palette-btn');
+        if (!btn) return;
+        this.hideReviewScreen();
+        this.jumpToQuestion(parseInt(btn.dataset.index));
+      });
+    });
+
+    // Review modal buttons
+    this.elements.reviewBackBtnEl?.addEventListener('click', () => this.hideReviewScreen());
+    this.elements.reviewSubmitBtnEl?.addEventListener('click', () => {
+      this.hideReviewScreen();
+      if (this.isSectioned()) {
+        this.endSection();
+      } else {
+        this.requestFinalizeAndComplete();
+      }
+    });
+
+    // Section transition
+    this.elements.startNextSectionBtnEl?.addEventListener('click', () => this.startNextSection());
     
     // Completion modal buttons
     this.elements.viewExamResultsBtnEl?.addEventListener('click', () => this.viewResults());
 
+    // Resume modal buttons
+    this.elements.resumeExamBtnEl?.addEventListener('click', () => {
+      this.hideResumeModal();
+      this.resumeExam(Storage.load(PROGRESS_KEY));
+    });
+    this.elements.discardExamBtnEl?.addEventListener('click', () => {
+      Storage.remove(PROGRESS_KEY);
+      this.hideResumeModal();
+      this.startExam();
+    });
+
     // Back button
     const backBtn = document.getElementById('back-btn');
     if (backBtn) {
@@ -132,9 +270,12 @@ export class ExamController {
       });
     }
 
-    // Prevent page refresh during exam
+    // Prevent page refresh during exam (progress is saved in case the page is left anyway)
+    // The save is marked as unloading; a reload that follows it is logged when the exam resumes,
+    // and staying on the page clears the mark with the next save.
     window.addEventListener('beforeunload', (e) => {
-      if (!this.isExamComplete) {
+      if (!this.isExamComplete && this.startTime) {
+        this.saveProgress(true);
         e.preventDefault();
         e.returnValue = 'هل أنت متأكد من مغادرة الصفحة؟ سيتم فقدان التقدم الحالي.';
       }
@@ -152,36 +293,294 @@ export class ExamController {
       soundEnabled: true,
       difficulty: 'medium',
       multiplicationRule: 'random',
-      allowSkip: true
+      operations: ['multiply'],
+      answerMode: 'choice',
+      optionCount: 4,
+      factorSelection: DEFAULT_FACTOR_SELECTION,
+      allowSkip: true,
+      lockOnAnswer: false,
+      seed: null,
+      questionSet: null,
+      blueprint: null,
+      scoringPolicy: 'standard',
+      maxViolations: 0
     };
 
     const savedSettings = Storage.load('examSettings', defaultSettings);
-    return { ...defaultSettings, ...savedSettings };
+    // Official presets always run with their own settings
+    const presetSettings = getPresetSettings(savedSettings.presetId);
+    return { ...defaultSettings, ...savedSettings, ...presetSettings };
   }
 
   /**
    * Start exam session
    */
   startExam() {
-    this.questions = questionGenerator.generateQuestions(this.settings.questionCount, {
-      difficulty: this.settings.difficulty,
-      avoidDuplicates: true,
-      ruleType: this.settings.multiplicationRule === 'random' ? null : parseInt(this.settings.multiplicationRule),
-      useMultiplicationRules: true
-    });
+    // Every session is seeded so it can be regenerated exactly from its record (an official preset
+    // always uses its own seed; one entered on the home page only seeds the first exam)
+    this.seed = this.settings.seed || this.nextSeed || generateSeed();
+    this.nextSeed = null;
+    if (this.settings.questionSet) {
+      // A loaded question set gives every student the same questions
+      this.questions = questionGenerator.generateQuestionsFromSet(this.settings.questionSet.questions, {
+        answerMode: this.settings.answerMode,
+        optionCount: this.settings.optionCount,
+        seed: this.seed
+      });
+    } else if (this.settings.blueprint) {
+      // A blueprint fixes the mix of rules and difficulties, like the real competition
+      this.questions = questionGenerator.generateQuestionsFromBlueprint(this.settings.blueprint, {
+        answerMode: this.settings.answerMode,
+        optionCount: this.settings.optionCount,
+        seed: this.seed
+      });
+    } else {
+      this.questions = questionGenerator.generateQuestions(this.settings.questionCount, {
+        difficulty: this.settings.difficulty,
+        avoidDuplicates: true,
+        ruleType: this.settings.multiplicationRule === 'random' ? null : parseInt(this.settings.multiplicationRule),
+        ...getFactorOptions(this.settings.factorSelection),
+        operations: this.settings.operations,
+        answerMode: this.settings.answerMode,
+        optionCount: this.settings.optionCount,
+        seed: this.seed
+      });
+    }
 
     this.currentIndex = 0;
     this.answers = [];
     this.tempSelections = [];
+    this.typedAnswers = [];
     this.timeSpentByIndex = [];
+    this.timedOut = [];
+    this.questionRemaining = [];
+    this.flagged = [];
+    this.locked = [];
+    this.sections = this.buildSections();
+    this.currentSection = 0;
+    this.sectionRemaining = [];
+    this.awaitingSection = false;
     this.startTime = Date.now();
     this.isAnswered = false;
     this.isExamComplete = false;
     this.warningShown = false;
 
+    this.applyAnswerMode();
     this.updateProgress();
     this.showQuestion();
-    this.startExamTimer();
+    if (this.isSectioned()) {
+      this.startSectionTimer();
+    } else {
+      this.startExamTimer();
+    }
+    this.startIntegrityMonitor();
+    this.saveProgress();
+  }
+
+  /**
+   * Offer to resume a saved exam, or start a new one
+   */
+  checkForSavedExam() {
+    const state = Storage.load(PROGRESS_KEY);
+    if (!state || !Array.isArray(state.questions) || state.questions.length === 0) {
+      this.startExam();
+      return;
+    }
+
+    const answered = state.questions.filter((q, index) =>
+      state.tempSelections?.[index] || state.typedAnswers?.[index]).length;
+    this.elements.resumeAnsweredEl.textContent = `${answered} / ${state.questions.length}`;
+    const awaySeconds = Math.floor(getTimeAwayMs(state) / 1000);
+    const remainingTime = state.remainingTime ?? state.sectionRemaining?.[state.currentSection] ?? null;
+    this.elements.resumeTimeRemainingEl.textContent = remainingTime === null ? '--:--' : formatTime(Math.max(0, remainingTime - awaySeconds));
+    if (this.elements.resumeTimeAwayEl) {
+      this.elements.resumeTimeAwayEl.textContent = formatTime(awaySeconds);
+    }
+    this.elements.resumeExamModalEl.classList.add('show');
+    this.elements.resumeExamModalEl.setAttribute('aria-hidden', 'false');
+    this.elements.resumeExamBtnEl?.focus();
+  }
+
+  /**
+   * Hide the resume modal
+   */
+  hideResumeModal() {
+    this.elements.resumeExamModalEl.classList.remove('show');
+    this.elements.resumeExamModalEl.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * Continue a saved exam where it was interrupted
+   * The clock kept running while the page was closed: the time away is taken off the exam,
+   * section and question timers (ending whichever ran out) and logged with the resume.
+   * @param {Object} state - State saved by saveProgress
+   */
+  resumeExam(state) {
+    if (!state) {
+      this.startExam();
+      return;
+    }
+
+    this.settings = { ...this.settings, ...state.settings };
+    this.seed = state.seed;
+    this.questions = state.questions;
+    this.tempSelections = state.tempSelections || [];
+    this.typedAnswers = state.typedAnswers || [];
+    this.timeSpentByIndex = state.timeSpentByIndex || [];
+    this.timedOut = state.timedOut || [];
+    this.questionRemaining = state.questionRemaining || [];
+    this.flagged = state.flagged || [];
+    this.locked = state.locked || [];
+    this.sections = this.buildSections();
+    this.currentSection = state.currentSection || 0;
+    this.sectionRemaining = state.sectionRemaining || [];
+    this.awaitingSection = Boolean(state.awaitingSection);
+    this.currentIndex = Math.min(state.currentIndex || 0, this.questions.length - 1);
+    this.timeSpentByIndex[this.currentIndex] = (this.timeSpentByIndex[this.currentIndex] || 0) + (state.currentQuestionSpent || 0);
+
+    const awayMs = getTimeAwayMs(state);
+    const awaySeconds = Math.floor(awayMs / 1000);
+    const remainingTime = state.remainingTime === null || state.remainingTime === undefined
+      ? null
+      : Math.max(0, state.remainingTime - awaySeconds);
+    const sectionLimit = this.isSectioned() && !this.awaitingSection ? this.sections[this.currentSection].timeLimit : null;
+    if (sectionLimit) {
+      this.sectionRemaining[this.currentSection] = Math.max(0, (this.sectionRemaining[this.currentSection] ?? sectionLimit) - awaySeconds);
+    }
+    const questionTimed = this.settings.timerMode === 'per-question' && !this.isSectioned() && !this.isTimedOut(this.currentIndex);
+    if (questionTimed) {
+      this.questionRemaining[this.currentIndex] = Math.max(0, (this.questionRemaining[this.currentIndex] ?? this.settings.timerDuration) - awaySeconds);
+    }
+
+    this.answers = [];
+    this.startTime = Date.now() - (state.elapsedMs || 0) - awayMs;
+    this.isAnswered = false;
+    this.isExamComplete = false;
+    this.warningShown = false;
+    this.startIntegrityMonitor(state);
+    if (state.unloading && isPageReload()) {
+      this.integrity.record('reload');
+    }
+    this.integrity.record('resume', awayMs > 0 ? { awayMs } : {});
+
+    if (remainingTime !== null && remainingTime <= 0) {
+      this.autoSubmitExam();
+      return;
+    }
+
+    this.applyAnswerMode();
+    this.updateProgress();
+    this.showQuestion();
+    if (questionTimed && this.questionRemaining[this.currentIndex] === 0) {
+      // The current question's time ran out while the page was closed
+      this.autoSubmitQuestion(this.currentIndex);
+    }
+    if (!this.isSectioned()) {
+      this.startExamTimer(remainingTime ?? this.settings.timerDuration);
+    } else if (this.awaitingSection) {
+      this.showSectionTransition();
+    } else {
+      this.startSectionTimer();
+    }
+    this.saveProgress();
+  }
+
+  /**
+   * Start logging focus loss, tab switches and idle gaps
+   * @param {Object} state - Saved progress whose log is continued (when resuming)
+   */
+  startIntegrityMonitor(state = {}) {
+    this.integrity?.stop();
+    this.integrity = new IntegrityMonitor({
+      log: state.integrityLog || [],
+      violationCount: state.violationCount || 0,
+      getContext: () => ({ elapsedMs: Date.now() - this.startTime, questionIndex: this.currentIndex }),
+      onViolation: (count) => this.handleViolation(count),
+      onChange: () => this.saveProgress()
+    });
+    this.integrity.start();
+  }
+
+  /**
+   * Warn about leaving the exam window, and submit once the allowed number is reached
+   * @param {number} count - Violations so far
+   */
+  handleViolation(count) {
+    if (this.isExamComplete) return;
+
+    const maxViolations = this.settings.maxViolations;
+    if (maxViolations > 0 && count >= maxViolations) {
+      this.integrity.record('auto-submit');
+      showNotification('تم تسليم الاختبار تلقائياً بسبب مغادرة نافذة الاختبار', 'warning', 5000);
+      this.requestFinalizeAndComplete();
+      return;
+    }
+
+    const limitText = maxViolations > 0 ? ` (${count} من ${maxViolations})` : '';
+    showNotification(`تم تسجيل مغادرة نافذة الاختبار${limitText}`, 'warning', 3000);
+  }
+
+  /**
+   * Save the in-progress exam so it can be resumed after a reload or crash
+   * @param {boolean} unloading - Whether the page is being unloaded
+   */
+  saveProgress(unloading = false) {
+    if (this.isExamComplete || !this.startTime) return;
+
+    Storage.save(PROGRESS_KEY, {
+      settings: this.settings,
+      seed: this.seed,
+      questions: this.questions,
+      tempSelections: this.tempSelections,
+      typedAnswers: this.typedAnswers,
+      timeSpentByIndex: this.timeSpentByIndex,
+      timedOut: this.timedOut,
+      locked: this.locked,
+      questionRemaining: this.questionRemaining,
+      flagged: this.flagged,
+      integrityLog: this.integrity ? this.integrity.log : [],
+      violationCount: this.integrity ? this.integrity.violationCount : 0,
+      currentSection: this.currentSection,
+      sectionRemaining: this.sectionRemaining,
+      awaitingSection: this.awaitingSection,
+      currentIndex: this.currentIndex,
+      currentQuestionSpent: this.questionStartTime ? Date.now() - this.questionStartTime : 0,
+      elapsedMs: Date.now() - this.startTime,
+      remainingTime: this.examTimer ? this.examTimer.getRemaining() : null,
+      unloading,
+      savedAt: Date.now()
+    });
+  }
+
+  /**
+   * Whether answers are typed instead of chosen
+   */
+  isTypedMode() {
+    return this.settings.answerMode === 'typed';
+  }
+
+  /**
+   * Show answer buttons or the typed answer entry
+   */
+  applyAnswerMode() {
+    // Per-question exams show the question countdown instead of the total time;
+    // timed sections show their own countdown there instead
+    const perQuestion = this.settings.timerMode === 'per-question' && !this.isSectioned();
+    if (this.elements.timeRemainingGroupEl) {
+      this.elements.timeRemainingGroupEl.style.display = perQuestion ? 'none' : '';
+    }
+    this.elements.timerDisplayEl.style.display = perQuestion ? '' : 'none';
+    this.updateAnswerRulesDisplay();
+
+    const typed = this.isTypedMode();
+    this.elements.answerOptionsEl.style.display = typed ? 'none' : '';
+    if (this.elements.typedAnswerEl) {
+      this.elements.typedAnswerEl.style.display = typed ? 'block' : 'none';
+    }
+    if (this.elements.numericKeypadEl) {
+      // The on-screen keypad is for touch devices; keyboards type directly
+      this.elements.numericKeypadEl.style.display = typed && isTouchDevice() ? '' : 'none';
+    }
   }
 
   /**
@@ -197,9 +596,12 @@ export class ExamController {
     this.isAnswered = false;
     this.questionStartTime = Date.now();
 
-    // Update question display
+    // Update question display (squares show only the base with a ² marker)
+    const isSquare = this.currentQuestion.operator === 'square';
     this.elements.factorAEl.textContent = this.currentQuestion.factorA;
-    this.elements.factorBEl.textContent = this.currentQuestion.factorB;
+    this.elements.operatorEl.textContent = getOperatorSymbol(this.currentQuestion.operator);
+    this.elements.factorBEl.textContent = isSquare ? '' : this.currentQuestion.factorB;
+    this.elements.factorBEl.style.display = isSquare ? 'none' : '';
 
     // Update answer options
     this.updateAnswerOptions();
@@ -209,9 +611,19 @@ export class ExamController {
 
     // Update nav buttons state
     this.updateNavButtonsState();
+    this.renderPalette();
+
+    // Questions whose time ran out, or whose answer is locked, can't be changed
+    const locked = this.isTimedOut(this.currentIndex) || this.isLocked(this.currentIndex);
+    this.elements.answerOptionsEl.querySelectorAll('.answer-btn').forEach(btn => {
+      btn.disabled = locked;
+    });
+    if (this.isTypedMode()) {
+      this.numericEntry.setEnabled(!locked);
+    }
 
     // Start question timer if enabled
-    if (this.settings.timerMode === 'per-question') {
+    if (this.settings.timerMode === 'per-question' && !this.isSectioned()) {
       this.startQuestionTimer();
     }
 
@@ -226,6 +638,10 @@ export class ExamController {
    * Update answer options display
    */
   updateAnswerOptions() {
+    const options = this.currentQuestion.options;
+    if (this.elements.answerOptionsEl.querySelectorAll('.answer-btn').length !== options.length) {
+      this.renderAnswerButtons(options.length);
+    }
     const buttons = this.elements.answerOptionsEl.querySelectorAll('.answer-btn');
     
     buttons.forEach((btn, index) => {
@@ -240,10 +656,38 @@ export class ExamController {
     });
   }
 
+  /**
+   * Render one answer button per option
+   */
+  renderAnswerButtons(count) {
+    this.elements.answerOptionsEl.innerHTML = '';
+    for (let i = 1; i <= count; i++) {
+      const btn = document.createElement('button');
+      btn.className = 'answer-btn';
+      btn.dataset.answer = i;
+      btn.tabIndex = i;
+      btn.innerHTML = `
+        <span class="answer-number">${i}</span>
+        <span class="answer-value" id="answer-${i}"></span>
+      `;
+      this.elements.answerOptionsEl.appendChild(btn);
+    }
+  }
+
+  /**
+   * Whether a key selects one of the current question's options
+   */
+  isOptionKey(key) {
+    const position = parseInt(key);
+    return /^[1-9]$/.test(key) && position <= (this.currentQuestion?.options.length || 0);
+  }
+
   /**
    * Select an answer
    */
   selectAnswer(position) {
+    if (this.isTimedOut(this.currentIndex) || this.isLocked(this.currentIndex)) return;
+
     // Remove previous selection
     this.elements.answerOptionsEl.querySelectorAll('.answer-btn').forEach(btn => {
       btn.classList.remove('selected');
@@ -255,43 +699,242 @@ export class ExamController {
       selectedBtn.classList.add('selected');
       // Save temporary selection for this index
       this.tempSelections[this.currentIndex] = position;
+      this.lockAnswer(this.currentIndex);
+      if (this.isLocked(this.currentIndex)) {
+        this.elements.answerOptionsEl.querySelectorAll('.answer-btn').forEach(btn => {
+          btn.disabled = true;
+        });
+      }
+      this.renderPalette();
+      this.updateNavButtonsState();
+      this.saveProgress();
     }
   }
 
   // Navigation helpers
   goPrev() {
+    const prevIndex = this.findVisitableQuestion(-1);
+    if (prevIndex === -1) return;
+
     this.captureTimeSpent();
-    if (this.currentIndex > 0) {
-      this.currentIndex--;
-      this.updateProgress();
-      this.showQuestion();
-    }
+    this.currentIndex = prevIndex;
+    this.updateProgress();
+    this.showQuestion();
+    this.saveProgress();
   }
 
   goNext() {
+    if (!this.canLeaveQuestion()) {
+      showNotification('أجب عن السؤال قبل الانتقال إلى التالي', 'warning', 2000);
+      return;
+    }
+
+    const nextIndex = this.findVisitableQuestion(1);
     this.captureTimeSpent();
-    if (this.currentIndex < this.questions.length - 1) {
-      this.currentIndex++;
+    if (nextIndex !== -1) {
+      this.currentIndex = nextIndex;
       this.updateProgress();
       this.showQuestion();
-    } else if (this.currentIndex === this.questions.length - 1) {
-      // At last question, prompt to end
+      this.saveProgress();
+    } else {
+      // At the last question of the exam or section, prompt to end
       this.requestEndExam();
     }
   }
 
+  /**
+   * Whether the current question may be left unanswered (skipping can be turned off)
+   */
+  canLeaveQuestion() {
+    return this.settings.allowSkip !== false || this.isSettled(this.currentIndex);
+  }
+
+  /**
+   * Whether a question can be opened from the current one
+   * Closed sections and locked answers can't be reopened, and without skipping no
+   * question can be reached past one that is still unanswered.
+   * @param {number} index - Question index
+   * @returns {boolean} True if the question can be opened
+   */
+  canVisit(index) {
+    if (index === this.currentIndex) return true;
+    if (!this.isInCurrentSection(index) || this.isLocked(index)) return false;
+
+    if (this.settings.allowSkip === false) {
+      const start = this.isSectioned() ? this.sections[this.currentSection].start : 0;
+      for (let i = start; i < index; i++) {
+        if (!this.isSettled(i)) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Find the nearest question in a direction that can be opened
+   * @param {number} step - 1 for forward, -1 for backward
+   * @returns {number} Question index, or -1 if none
+   */
+  findVisitableQuestion(step) {
+    for (let index = this.currentIndex + step; index >= 0 && index < this.questions.length; index += step) {
+      if (!this.isInCurrentSection(index)) break;
+      if (this.canVisit(index)) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Lock a question's answer when answers lock once given
+   * @param {number} index - Question index
+   */
+  lockAnswer(index) {
+    if (this.settings.lockOnAnswer && this.hasAnswer(index)) {
+      this.locked[index] = true;
+    }
+  }
+
+  /**
+   * Whether a question's answer is locked
+   * @param {number} index - Question index
+   * @returns {boolean} True if locked
+   */
+  isLocked(index) {
+    return this.locked[index] === true;
+  }
+
+  /**
+   * Show the exam's skip and answer-locking rules in the header
+   */
+  updateAnswerRulesDisplay() {
+    const arRules = [];
+    const enRules = [];
+    if (this.settings.allowSkip === false) {
+      arRules.push('بدون تخطٍّ');
+      enRules.push('No skipping');
+    }
+    if (this.settings.lockOnAnswer) {
+      arRules.push('الإجابة تُقفل بعد اختيارها');
+      enRules.push('Answers lock once given');
+    }
+    if (arRules.length === 0) {
+      arRules.push('تنقل حر');
+      enRules.push('Free navigation');
+    }
+    this.setLocalizedText(this.elements.answerRulesEl, arRules.join('، '), enRules.join(', '));
+  }
+
+  /**
+   * Move to any question (from the palette or the review screen)
+   * @param {number} index - Question index
+   */
+  jumpToQuestion(index) {
+    if (this.isExamComplete || isNaN(index) || index < 0 || index >= this.questions.length) return;
+    if (index === this.currentIndex || !this.canVisit(index)) return;
+
+    this.captureTimeSpent();
+    this.currentIndex = index;
+    this.updateProgress();
+    this.showQuestion();
+    this.saveProgress();
+  }
+
+  /**
+   * Flag or unflag the current question for review
+   */
+  toggleFlag() {
+    if (this.isExamComplete || !this.questions) return;
+    this.flagged[this.currentIndex] = !this.isFlagged(this.currentIndex);
+    this.renderPalette();
+    this.saveProgress();
+  }
+
+  /**
+   * Whether a question is flagged for review
+   * @param {number} index - Question index
+   * @returns {boolean} True if flagged
+   */
+  isFlagged(index) {
+    return this.flagged[index] === true;
+  }
+
+  /**
+   * Render one palette button per question showing its state
+   */
+  renderPalette() {
+    const paletteEl = this.elements.questionPaletteEl;
+    if (paletteEl) {
+      if (paletteEl.children.length !== this.questions.length) {
+        paletteEl.innerHTML = '';
+        this.questions.forEach((q, index) => paletteEl.appendChild(this.createPaletteButton(index)));
+      }
+      Array.from(paletteEl.children).forEach((btn, index) => {
+        btn.className = this.getPaletteClass(index);
+        btn.classList.toggle('current', index === this.currentIndex);
+        // Other sections, locked answers and (without skipping) later questions can't be opened
+        btn.classList.toggle('locked', !this.canVisit(index));
+        btn.disabled = !this.canVisit(index);
+        btn.setAttribute('aria-current', index === this.currentIndex ? 'step' : 'false');
+      });
+    }
+
+    if (this.elements.flagBtnEl) {
+      const flagged = this.isFlagged(this.currentIndex);
+      this.elements.flagBtnEl.classList.toggle('active', flagged);
+      this.elements.flagBtnEl.setAttribute('aria-pressed', String(flagged));
+    }
+  }
+
+  /**
+   * Create a palette button that jumps to a question
+   * @param {number} index - Question index
+   * @returns {HTMLButtonElement} Button element
+   */
+  createPaletteButton(index) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = this.getPaletteClass(index);
+    btn.dataset.index = index;
+    btn.textContent = index + 1;
+    return btn;
+  }
+
+  /**
+   * Get the palette classes for a question's state
+   * @param {number} index - Question index
+   * @returns {string} Class list
+   */
+  getPaletteClass(index) {
+    const classes = ['palette-btn'];
+    if (this.hasAnswer(index)) classes.push('answered');
+    else if (this.isTimedOut(index)) classes.push('timed-out');
+    if (this.isFlagged(index)) classes.push('flagged');
+    return classes.join(' ');
+  }
+
   updateNavButtonsState() {
+    const isArabic = document.documentElement.lang === 'ar';
     if (this.elements.prevBtnEl) {
-      this.elements.prevBtnEl.disabled = this.currentIndex === 0;
+      this.elements.prevBtnEl.disabled = this.findVisitableQuestion(-1) === -1;
     }
     if (this.elements.nextBtnEl) {
-      this.elements.nextBtnEl.textContent = (this.currentIndex === this.questions.length - 1)
-        ? (document.documentElement.lang === 'ar' ? 'إنهاء' : 'Finish')
-        : (document.documentElement.lang === 'ar' ? 'التالي' : 'Next');
+      let label = isArabic ? 'التالي' : 'Next';
+      const isLast = !this.questions.some((q, index) =>
+        index > this.currentIndex && this.isInCurrentSection(index) && !this.isLocked(index));
+      if (isLast) {
+        const endsSection = this.isSectioned() && this.currentSection < this.sections.length - 1;
+        label = endsSection ? (isArabic ? 'إنهاء القسم' : 'End Section') : (isArabic ? 'إنهاء' : 'Finish');
+      }
+      this.elements.nextBtnEl.textContent = label;
+      // Without skipping, Next waits for an answer
+      this.elements.nextBtnEl.disabled = !this.canLeaveQuestion();
     }
   }
 
   restoreSelection() {
+    if (this.isTypedMode()) {
+      this.numericEntry.setValue(this.typedAnswers[this.currentIndex] || '');
+      return;
+    }
+
     // Clear any previous state
     this.elements.answerOptionsEl.querySelectorAll('.answer-btn').forEach(btn => btn.classList.remove('selected'));
     const position = this.tempSelections[this.currentIndex];
@@ -302,9 +945,13 @@ export class ExamController {
   }
 
   captureTimeSpent() {
+    // Typed answers lock once the student moves on
+    this.lockAnswer(this.currentIndex);
     if (this.questionStartTime) {
       const spent = Date.now() - this.questionStartTime;
       this.timeSpentByIndex[this.currentIndex] = (this.timeSpentByIndex[this.currentIndex] || 0) + spent;
+      // Restart the count so time is not added twice if captured again
+      this.questionStartTime = Date.now();
     }
     if (this.questionTimer) {
       this.questionTimer.stop();
@@ -331,13 +978,16 @@ export class ExamController {
 
   /**
    * Start exam timer
+   * @param {number} duration - Seconds left (less than the full duration when resuming)
    */
-  startExamTimer() {
+  startExamTimer(duration = this.settings.timerDuration) {
     if (this.settings.timerMode === 'total-time') {
+      this.elements.timeRemainingEl.textContent = formatTime(duration);
       this.examTimer = new Timer(
-        this.settings.timerDuration,
+        duration,
         (remaining) => {
           this.elements.timeRemainingEl.textContent = formatTime(remaining);
+          this.saveProgress();
         },
         () => {
           // Time's up - auto submit exam
@@ -351,25 +1001,29 @@ export class ExamController {
 
   /**
    * Start question timer
+   * Each question has its own budget: unused time is not carried over to other
+   * questions, and returning to a question continues its own countdown.
    */
   startQuestionTimer() {
     if (this.questionTimer) {
       this.questionTimer.stop();
     }
 
+    const index = this.currentIndex;
+    const remaining = this.questionRemaining[index] ?? this.settings.timerDuration;
+    this.updateQuestionTimerDisplay(remaining);
+    if (this.isTimedOut(index)) return;
+
     this.questionTimer = new Timer(
-      this.settings.timerDuration,
-      (remaining) => {
-        this.elements.timerTextEl.textContent = remaining;
-        this.elements.timerDisplayEl.style.display = 'block';
-        
-        if (remaining <= 5) {
-          this.elements.timerDisplayEl.style.animation = 'pulse 0.5s infinite';
-        }
+      remaining,
+      (left) => {
+        this.questionRemaining[index] = left;
+        this.updateQuestionTimerDisplay(left);
+        this.saveProgress();
       },
       () => {
-        // Time's up - move to next
-        this.goNext();
+        // Time's up - record the timeout and move on
+        this.autoSubmitQuestion(index);
       }
     );
 
@@ -377,10 +1031,84 @@ export class ExamController {
   }
 
   /**
-   * Auto submit current question
+   * Update the question countdown
+   * @param {number} remaining - Seconds left
+   */
+  updateQuestionTimerDisplay(remaining) {
+    this.elements.timerTextEl.textContent = remaining;
+    this.elements.timerDisplayEl.style.animation = remaining > 0 && remaining <= 5 ? 'pulse 0.5s infinite' : '';
+  }
+
+  /**
+   * Whether a question ran out of time before it was answered
+   * @param {number} index - Question index
+   * @returns {boolean} True if timed out
    */
-  autoSubmitQuestion() {
-    // No-op in navigation mode
+  isTimedOut(index) {
+    return this.timedOut[index] === true;
+  }
+
+  /**
+   * Whether a question has an answer
+   * @param {number} index - Question index
+   * @returns {boolean} True if answered
+   */
+  hasAnswer(index) {
+    return this.isTypedMode() ? Boolean(this.typedAnswers[index]) : Boolean(this.tempSelections[index]);
+  }
+
+  /**
+   * Whether a question is done with (answered, or its time ran out)
+   * @param {number} index - Question index
+   * @returns {boolean} True if settled
+   */
+  isSettled(index) {
+    return this.hasAnswer(index) || this.isTimedOut(index);
+  }
+
+  /**
+   * Auto submit current question when its time runs out
+   * An unanswered question is recorded as timed out; an answered one keeps its answer.
+   * When no later question is open, the review screen opens before the exam is submitted.
+   * @param {number} index - Question index
+   */
+  autoSubmitQuestion(index = this.currentIndex) {
+    this.questionRemaining[index] = 0;
+    if (!this.hasAnswer(index)) {
+      this.timedOut[index] = true;
+    }
+    this.captureTimeSpent();
+
+    // Move to the next question that still has time, or review before submitting when none is left
+    const nextIndex = this.findNextOpenQuestion(index);
+    if (nextIndex === -1) {
+      this.showQuestion();
+      this.saveProgress();
+      this.requestEndExam();
+      return;
+    }
+
+    this.currentIndex = nextIndex;
+    this.updateProgress();
+    this.showQuestion();
+    this.saveProgress();
+  }
+
+  /**
+   * Find the next question after the current one that still has time and can be opened
+   * (the search only goes forward, like manual navigation it skips locked answers and closed sections)
+   * @param {number} fromIndex - Index to search after
+   * @returns {number} Question index, or -1 if none
+   */
+  findNextOpenQuestion(fromIndex) {
+    for (let index = fromIndex + 1; index < this.questions.length; index++) {
+      if (!this.isInCurrentSection(index)) break;
+      if (!this.canVisit(index)) continue;
+      if ((this.questionRemaining[index] ?? this.settings.timerDuration) > 0) {
+        return index;
+      }
+    }
+    return -1;
   }
 
   /**
@@ -394,6 +1122,8 @@ export class ExamController {
    */
   completeExam() {
     this.isExamComplete = true;
+    Storage.remove(PROGRESS_KEY);
+    this.hideReviewScreen();
     const totalTime = Math.floor((Date.now() - this.startTime) / 1000);
     
     // Stop all timers
@@ -403,15 +1133,23 @@ export class ExamController {
     if (this.questionTimer) {
       this.questionTimer.stop();
     }
+    this.sectionTimer?.stop();
+    this.integrity?.stop();
+    this.hideSectionTransition();
 
     // Build answers from selections if not already built
     this.buildAnswersFromSelections();
 
     // Calculate results
     const correctCount = this.answers.filter(a => a && a.isCorrect).length;
-    const wrongCount = this.answers.filter(a => a && !a.isCorrect && !a.skipped).length;
+    const wrongCount = this.answers.filter(a => a && !a.isCorrect && !a.skipped && !a.timedOut).length;
     const skippedCount = this.answers.filter(a => a && a.skipped).length;
-    const score = Math.round((correctCount / this.questions.length) * 100);
+    const timedOutCount = this.answers.filter(a => a && a.timedOut).length;
+    const scoringPolicy = getScoringPolicy(this.settings.scoringPolicy);
+    const { score, accuracy } = scoreResults(
+      this.answers.map((answer, index) => ({ ...answer, difficulty: this.questions[index].difficulty })),
+      scoringPolicy
+    );
 
     // Update completion modal
     this.elements.examTotalQuestionsEl.textContent = this.questions.length;
@@ -422,7 +1160,8 @@ export class ExamController {
     this.elements.examCompletionModalEl.setAttribute('aria-hidden', 'false');
 
     // Save exam result
-    this.saveExamResult(totalTime, correctCount, wrongCount, skippedCount, score);
+    const sectionResults = this.buildSectionResults(scoringPolicy);
+    this.saveExamResult(totalTime, correctCount, wrongCount, skippedCount, timedOutCount, { score, accuracy, scoringPolicy, sectionResults });
 
     // Play completion sound
     if (this.settings.soundEnabled) {
@@ -436,29 +1175,51 @@ export class ExamController {
   /**
    * Save exam result
    */
-  saveExamResult(totalTime, correctCount, wrongCount, skippedCount, score) {
+  saveExamResult(totalTime, correctCount, wrongCount, skippedCount, timedOutCount, { score, accuracy, scoringPolicy, sectionResults }) {
     const result = {
       id: `exam_${Date.now()}`,
       type: 'exam',
       score,
+      accuracy,
+      scoringPolicy,
       correctCount,
       wrongCount,
       skippedCount,
+      timedOutCount,
       totalQuestions: this.questions.length,
       totalTime,
       averageResponseTime: this.calculateAverageResponseTime(),
       difficulty: this.settings.difficulty,
       timerMode: this.settings.timerMode,
+      answerMode: this.settings.answerMode,
+      allowSkip: this.settings.allowSkip !== false,
+      lockOnAnswer: Boolean(this.settings.lockOnAnswer),
+      preset: this.settings.presetId ? { id: this.settings.presetId, name: OFFICIAL_PRESETS[this.settings.presetId].name } : null,
+      configFingerprint: getConfigFingerprint('exam', this.settings),
+      questionSet: this.settings.questionSet ? { title: this.settings.questionSet.title, author: this.settings.questionSet.author } : null,
+      blueprint: this.settings.blueprint && !this.settings.questionSet ? { id: this.settings.blueprint.id, name: this.settings.blueprint.name, order: this.settings.blueprint.order, sections: this.settings.blueprint.sections } : null,
+      seed: this.seed,
+      integrityLog: this.integrity ? this.integrity.log : [],
+      violationCount: this.integrity ? this.integrity.violationCount : 0,
+      timedSections: this.isSectioned(),
+      sectionResults,
       timestamp: Date.now(),
       questions: this.questions.map((q, index) => ({
         id: q.id,
+        operator: q.operator,
+        rule: q.rule ?? null,
         factorA: q.factorA,
         factorB: q.factorB,
         correctAnswer: q.correctAnswer,
-        userAnswer: this.answers[index]?.selectedAnswer || null,
+        difficulty: q.difficulty,
+        section: q.section ?? null,
+        userAnswer: this.answers[index]?.selectedAnswer ?? null,
         isCorrect: this.answers[index]?.isCorrect || false,
+        errorType: this.answers[index]?.errorType ?? null,
         responseTime: this.answers[index]?.responseTime || 0,
-        skipped: this.answers[index]?.skipped || false
+        skipped: this.answers[index]?.skipped || false,
+        timedOut: this.answers[index]?.timedOut || false,
+        flagged: this.isFlagged(index)
       }))
     };
 
@@ -473,14 +1234,267 @@ export class ExamController {
     Storage.save('currentResult', result);
   }
 
-  requestEndExam() {
-    // Basic confirmation
-    const confirmMsg = document.documentElement.lang === 'ar'
-      ? 'هل تريد إنهاء الاختبار الآن؟'
-      : 'Do you want to end the exam now?';
-    if (confirm(confirmMsg)) {
+  /**
+   * Split the questions into sections when the blueprint has timed sections
+   * @returns {Array|null} Sections ({ start, end, timeLimit }) in question order, or null
+   */
+  buildSections() {
+    const { blueprint, questionSet } = this.settings;
+    if (questionSet || !blueprint || blueprint.order !== 'sections' ||
+        !blueprint.sections.some(section => section.timeLimit > 0)) {
+      return null;
+    }
+
+    let start = 0;
+    return blueprint.sections.map(section => {
+      const range = { start, end: start + section.count, timeLimit: section.timeLimit || 0 };
+      start = range.end;
+      return range;
+    });
+  }
+
+  /**
+   * Whether the exam runs section by section
+   */
+  isSectioned() {
+    return Array.isArray(this.sections);
+  }
+
+  /**
+   * Whether a question can be visited now (always, unless the exam has timed sections)
+   * @param {number} index - Question index
+   * @returns {boolean} True if the question is in the open section
+   */
+  isInCurrentSection(index) {
+    if (!this.isSectioned()) return true;
+    const section = this.sections[this.currentSection];
+    return index >= section.start && index < section.end;
+  }
+
+  /**
+   * Start the open section's timer (untimed sections end when the student finishes them)
+   */
+  startSectionTimer() {
+    this.sectionTimer?.stop();
+    this.sectionTimer = null;
+    this.updateSectionIndicator();
+
+    const sectionIndex = this.currentSection;
+    const { timeLimit } = this.sections[sectionIndex];
+    if (!timeLimit) {
+      this.elements.timeRemainingEl.textContent = '--:--';
+      return;
+    }
+
+    const remaining = this.sectionRemaining[sectionIndex] ?? timeLimit;
+    if (remaining <= 0) {
+      this.endSection(true);
+      return;
+    }
+
+    this.elements.timeRemainingEl.textContent = formatTime(remaining);
+    this.sectionTimer = new Timer(
+      remaining,
+      (left) => {
+        this.sectionRemaining[sectionIndex] = left;
+        this.elements.timeRemainingEl.textContent = formatTime(left);
+        this.saveProgress();
+      },
+      () => {
+        // Time's up - close the section
+        this.endSection(true);
+      }
+    );
+
+    this.sectionTimer.start();
+  }
+
+  /**
+   * Show which section is open
+   */
+  updateSectionIndicator() {
+    if (!this.elements.sectionIndicatorEl) return;
+    this.setLocalizedText(this.elements.sectionIndicatorEl,
+      `القسم ${this.currentSection + 1} من ${this.sections.length}`,
+      `Section ${this.currentSection + 1} of ${this.sections.length}`);
+    this.elements.sectionIndicatorEl.style.display = '';
+  }
+
+  /**
+   * Close the open section; its questions can no longer be changed
+   * @param {boolean} timeUp - Whether its time ran out (unanswered questions then count as timed out)
+   */
+  endSection(timeUp = false) {
+    if (this.isExamComplete || this.awaitingSection) return;
+
+    this.captureTimeSpent();
+    this.questionStartTime = null;
+    this.sectionTimer?.stop();
+    this.sectionTimer = null;
+    this.hideReviewScreen();
+
+    const section = this.sections[this.currentSection];
+    if (timeUp) {
+      this.sectionRemaining[this.currentSection] = 0;
+      for (let index = section.start; index < section.end; index++) {
+        if (!this.hasAnswer(index)) this.timedOut[index] = true;
+      }
+    }
+
+    if (this.currentSection === this.sections.length - 1) {
       this.requestFinalizeAndComplete();
+      return;
     }
+
+    this.currentSection++;
+    this.awaitingSection = true;
+    this.saveProgress();
+    this.showSectionTransition(timeUp);
+  }
+
+  /**
+   * Show the screen between two sections
+   * @param {boolean} timeUp - Whether the finished section ran out of time
+   */
+  showSectionTransition(timeUp = false) {
+    const finishedNumber = this.currentSection;
+    const finished = this.sections[finishedNumber - 1];
+    const next = this.sections[this.currentSection];
+
+    let answered = 0;
+    for (let index = finished.start; index < finished.end; index++) {
+      if (this.hasAnswer(index)) answered++;
+    }
+
+    this.setLocalizedText(this.elements.sectionTransitionTitleEl,
+      timeUp ? `انتهى وقت القسم ${finishedNumber}` : `انتهى القسم ${finishedNumber}`,
+      timeUp ? `Section ${finishedNumber} time is up` : `Section ${finishedNumber} finished`);
+    this.elements.sectionAnsweredEl.textContent = `${answered} / ${finished.end - finished.start}`;
+    this.setLocalizedText(this.elements.nextSectionInfoEl,
+      `القسم ${this.currentSection + 1}: ${next.end - next.start} سؤال`,
+      `Section ${this.currentSection + 1}: ${next.end - next.start} questions`);
+    this.elements.nextSectionTimeEl.textContent = next.timeLimit ? formatTime(next.timeLimit) : '--:--';
+
+    this.elements.sectionTransitionModalEl.classList.add('show');
+    this.elements.sectionTransitionModalEl.setAttribute('aria-hidden', 'false');
+    this.elements.startNextSectionBtnEl?.focus();
+  }
+
+  /**
+   * Hide the screen between sections
+   */
+  hideSectionTransition() {
+    this.elements.sectionTransitionModalEl?.classList.remove('show');
+    this.elements.sectionTransitionModalEl?.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * Open the next section at its first question
+   */
+  startNextSection() {
+    if (!this.awaitingSection) return;
+
+    this.hideSectionTransition();
+    this.awaitingSection = false;
+    this.currentIndex = this.sections[this.currentSection].start;
+    this.updateProgress();
+    this.showQuestion();
+    this.startSectionTimer();
+    this.saveProgress();
+  }
+
+  /**
+   * Score each blueprint section on its own
+   * @param {Object} scoringPolicy - Policy used for the exam score
+   * @returns {Array|null} Section results, or null when the exam has no blueprint
+   */
+  buildSectionResults(scoringPolicy) {
+    const { blueprint, questionSet } = this.settings;
+    if (questionSet || !blueprint) return null;
+
+    return blueprint.sections.map((section, sectionIndex) => {
+      const indices = this.questions.map((q, index) => index).filter(index => this.questions[index].section === sectionIndex);
+      const results = indices.map(index => ({ ...this.answers[index], difficulty: this.questions[index].difficulty }));
+      const { score, accuracy } = scoreResults(results, scoringPolicy);
+      return {
+        count: indices.length,
+        ruleType: section.ruleType,
+        difficulty: section.difficulty,
+        timeLimit: section.timeLimit || 0,
+        timeSpent: Math.round(indices.reduce((sum, index) => sum + (this.timeSpentByIndex[index] || 0), 0) / 1000),
+        correctCount: results.filter(result => result.isCorrect).length,
+        score,
+        accuracy
+      };
+    });
+  }
+
+  /**
+   * Set an element's text in both languages
+   * @param {HTMLElement} element - Element to update
+   * @param {string} arText - Arabic text
+   * @param {string} enText - English text
+   */
+  setLocalizedText(element, arText, enText) {
+    if (!element) return;
+    element.dataset.ar = arText;
+    element.dataset.en = enText;
+    element.textContent = document.documentElement.lang === 'ar' ? arText : enText;
+  }
+
+  requestEndExam() {
+    if (this.isExamComplete || this.awaitingSection) return;
+    this.showReviewScreen();
+  }
+
+  /**
+   * Show the review screen listing unanswered and flagged questions before submitting
+   */
+  showReviewScreen() {
+    // A timed section reviews only its own questions
+    const indices = this.questions.map((q, index) => index).filter(index => this.isInCurrentSection(index));
+    const unanswered = indices.filter(index => !this.hasAnswer(index));
+    const flagged = indices.filter(index => this.isFlagged(index));
+
+    const endsSection = this.isSectioned() && this.currentSection < this.sections.length - 1;
+    this.setLocalizedText(this.elements.reviewSubmitLabelEl,
+      endsSection ? 'إنهاء القسم' : 'تسليم الاختبار',
+      endsSection ? 'End Section' : 'Submit Exam');
+    this.elements.reviewAnsweredCountEl.textContent = `${indices.length - unanswered.length} / ${indices.length}`;
+    this.renderReviewList(this.elements.reviewUnansweredEl, unanswered);
+    this.renderReviewList(this.elements.reviewFlaggedEl, flagged);
+    this.elements.reviewUnansweredSectionEl.style.display = unanswered.length ? '' : 'none';
+    this.elements.reviewFlaggedSectionEl.style.display = flagged.length ? '' : 'none';
+    this.elements.reviewAllDoneEl.style.display = unanswered.length || flagged.length ? 'none' : '';
+
+    this.elements.reviewModalEl.classList.add('show');
+    this.elements.reviewModalEl.setAttribute('aria-hidden', 'false');
+    this.elements.reviewSubmitBtnEl?.focus();
+  }
+
+  /**
+   * Fill a review list with buttons for the given questions
+   * @param {HTMLElement} listEl - List container
+   * @param {Array} indices - Question indices
+   */
+  renderReviewList(listEl, indices) {
+    listEl.innerHTML = '';
+    indices.forEach(index => listEl.appendChild(this.createPaletteButton(index)));
+  }
+
+  /**
+   * Hide the review screen and return to the exam
+   */
+  hideReviewScreen() {
+    this.elements.reviewModalEl.classList.remove('show');
+    this.elements.reviewModalEl.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * Whether the review screen is open
+   */
+  isReviewOpen() {
+    return this.elements.reviewModalEl?.classList.contains('show') || false;
   }
 
   requestFinalizeAndComplete() {
@@ -494,19 +1508,33 @@ export class ExamController {
   buildAnswersFromSelections() {
     // Build answers array aligned with questions
     this.answers = this.questions.map((q, index) => {
-      const position = this.tempSelections[index];
-      const option = position ? q.options.find(o => o.position === position) : null;
-      const selectedValue = option ? option.value : null;
-      const isCorrect = option ? option.isCorrect : false;
+      let selectedValue = null;
+      let isCorrect = false;
+      let errorType = null;
+      if (this.isTypedMode()) {
+        const typed = this.typedAnswers[index];
+        selectedValue = typed ? parseInt(typed, 10) : null;
+        isCorrect = selectedValue === q.correctAnswer;
+        errorType = questionGenerator.classifyAnswer(q, selectedValue);
+      } else {
+        const position = this.tempSelections[index];
+        const option = position ? q.options.find(o => o.position === position) : null;
+        selectedValue = option ? option.value : null;
+        isCorrect = option ? option.isCorrect : false;
+        errorType = option ? option.strategy : null;
+      }
       const responseTime = this.timeSpentByIndex[index] || 0;
-      const skipped = !option;
+      const timedOut = selectedValue === null && this.isTimedOut(index);
+      const skipped = selectedValue === null && !timedOut;
       return {
         questionId: q.id,
         questionIndex: index,
         selectedAnswer: selectedValue,
         isCorrect,
+        errorType,
         responseTime,
         skipped,
+        timedOut,
         timestamp: Date.now()
       };
     });
@@ -516,7 +1544,7 @@ export class ExamController {
    * Calculate average response time
    */
   calculateAverageResponseTime() {
-    const answeredQuestions = this.answers.filter(answer => !answer.skipped);
+    const answeredQuestions = this.answers.filter(answer => !answer.skipped && !answer.timedOut);
     
     if (answeredQuestions.length === 0) return 0;
     
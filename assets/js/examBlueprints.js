@@ -0,0 +1,137 @@
+// SuperMind Trainer - Exam Blueprints
+
+import { Storage, generateId, formatTime } from './utils.js';
+import { RuleRegistry } from './multiplicationRules.js';
+import { DIFFICULTY_LEVELS, DIFFICULTY_NAMES } from './questionGenerator.js';
+
+const STORAGE_KEY = 'examBlueprints';
+
+// 'sections' asks the sections one after another; 'shuffled' mixes their questions
+export const BLUEPRINT_ORDERS = ['sections', 'shuffled'];
+export const MAX_BLUEPRINT_QUESTIONS = 100;
+export const MAX_SECTION_TIME_LIMIT = 3600;
+
+/**
+ * Saved exam blueprints
+ * A blueprint is { id, name, order, sections: [{ count, ruleType, difficulty, timeLimit }] } where
+ * ruleType is a RuleRegistry id, or null for a random eligible rule, and timeLimit is the
+ * section's time in seconds (0 for none).
+ */
+export const BlueprintStore = {
+  /**
+   * Load all saved blueprints
+   * @returns {Array} Blueprints
+   */
+  load() {
+    return Storage.load(STORAGE_KEY, []);
+  },
+
+  /**
+   * Get a blueprint by id
+   * @param {string} id - Blueprint id
+   * @returns {Object|null} Blueprint or null
+   */
+  get(id) {
+    return this.load().find(blueprint => blueprint.id === id) || null;
+  },
+
+  /**
+   * Save a blueprint, replacing the one with the same id
+   * @param {Object} blueprint - Blueprint (a new id is given when it has none)
+   * @returns {Object} Saved blueprint
+   */
+  save(blueprint) {
+    const saved = { ...blueprint, id: blueprint.id || generateId() };
+    const blueprints = this.load().filter(b => b.id !== saved.id);
+    blueprints.push(saved);
+    Storage.save(STORAGE_KEY, blueprints);
+    return saved;
+  },
+
+  /**
+   * Delete a blueprint
+   * @param {string} id - Blueprint id
+   */
+  remove(id) {
+    Storage.save(STORAGE_KEY, this.load().filter(blueprint => blueprint.id !== id));
+  },
+
+  /**
+   * Count the questions of a blueprint
+   * @param {Object} blueprint - Blueprint
+   * @returns {number} Question count
+   */
+  getQuestionCount(blueprint) {
+    return blueprint.sections.reduce((sum, section) => sum + section.count, 0);
+  },
+
+  /**
+   * Whether a blueprint has timed sections (the exam then runs section by section)
+   * @param {Object} blueprint - Blueprint
+   * @returns {boolean} True if any section has a time limit
+   */
+  isTimed(blueprint) {
+    return blueprint.sections.some(section => section.timeLimit > 0);
+  },
+
+  /**
+   * Check a blueprint before it is saved or used
+   * @param {Object} blueprint - Blueprint
+   * @returns {Array} Error messages (empty if valid)
+   */
+  validate(blueprint) {
+    const errors = [];
+    if (!blueprint.name || !blueprint.name.trim()) {
+      errors.push('اسم المخطط مطلوب');
+    }
+    if (!BLUEPRINT_ORDERS.includes(blueprint.order)) {
+      errors.push('ترتيب الأسئلة غير صالح');
+    }
+    if (!Array.isArray(blueprint.sections) || blueprint.sections.length === 0) {
+      errors.push('أضف قسماً واحداً على الأقل');
+      return errors;
+    }
+
+    blueprint.sections.forEach((section, index) => {
+      const label = `القسم ${index + 1}`;
+      if (!Number.isInteger(section.count) || section.count < 1) {
+        errors.push(`${label}: عدد الأسئلة يجب أن يكون عدداً صحيحاً موجباً`);
+      }
+      if (!DIFFICULTY_LEVELS.includes(section.difficulty)) {
+        errors.push(`${label}: مستوى الصعوبة غير صالح`);
+      } else if (section.ruleType !== null && !RuleRegistry.isEligible(RuleRegistry.get(section.ruleType), section.difficulty)) {
+        errors.push(`${label}: النمط غير متاح لهذا المستوى`);
+      }
+      const timeLimit = section.timeLimit || 0;
+      if (!Number.isInteger(timeLimit) || timeLimit < 0 || timeLimit > MAX_SECTION_TIME_LIMIT) {
+        errors.push(`${label}: وقت القسم يجب أن يكون بين 0 و ${MAX_SECTION_TIME_LIMIT} ثانية`);
+      }
+    });
+
+    if (this.isTimed(blueprint) && blueprint.order !== 'sections') {
+      errors.push('الأقسام الموقّتة تتطلب ترتيب الأسئلة حسب الأقسام');
+    }
+
+    if (errors.length === 0 && this.getQuestionCount(blueprint) > MAX_BLUEPRINT_QUESTIONS) {
+      errors.push(`مجموع الأسئلة يجب ألا يتجاوز ${MAX_BLUEPRINT_QUESTIONS}`);
+    }
+    return errors;
+  },
+
+  /**
+   * Describe a blueprint's sections (e.g. "5 × Number × 11 (Easy, 02:00)")
+   * @param {Object} blueprint - Blueprint
+   * @param {string} lang - 'ar' or 'en'
+   * @returns {string} Description
+   */
+  describe(blueprint, lang = 'ar') {
+    const randomRule = lang === 'en' ? 'Random pattern' : 'نمط عشوائي';
+    return blueprint.sections.map(section => {
+      const rule = RuleRegistry.get(section.ruleType);
+      const ruleName = rule ? RuleRegistry.getName(rule, lang) : randomRule;
+      const difficultyName = DIFFICULTY_NAMES[section.difficulty]?.[lang] || section.difficulty;
+      const details = section.timeLimit > 0 ? `${difficultyName}${lang === 'en' ? ', ' : '، '}${formatTime(section.timeLimit)}` : difficultyName;
+      return `${section.count} × ${ruleName} (${details})`;
+    }).join(lang === 'en' ? ', ' : '، ');
+  }
+};
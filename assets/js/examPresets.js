@@ -0,0 +1,181 @@
+// SuperMind Trainer - Official Exam Presets
+
+import { formatTime } from './utils.js';
+import { DEFAULT_FACTOR_SELECTION, DIFFICULTY_NAMES } from './questionGenerator.js';
+
+// Settings form fields a preset fixes; they are disabled while a preset is selected
+export const PRESET_LOCKED_FIELDS = [
+  'blueprintId', 'questionCount', 'difficulty', 'operations', 'factorMode', 'tables',
+  'factorAMin', 'factorAMax', 'factorBMin', 'factorBMax', 'multiplicationRule', 'answerMode',
+  'optionCount', 'seed', 'scoringPolicy', 'timerMode', 'timerDuration', 'allowSkip', 'lockOnAnswer'
+];
+
+/**
+ * Official exam presets
+ * seedPolicy 'fixed' gives every student the same questions (from `seed`);
+ * 'random' draws new questions for every run.
+ */
+export const OFFICIAL_PRESETS = {
+  'official-beginner': {
+    name: { ar: 'رسمي: مبتدئ', en: 'Official: Beginner' },
+    seedPolicy: 'fixed',
+    seed: 20251,
+    settings: {
+      questionCount: 20,
+      difficulty: 'easy',
+      multiplicationRule: 'random',
+      operations: ['multiply'],
+      factorSelection: DEFAULT_FACTOR_SELECTION,
+      answerMode: 'choice',
+      optionCount: 4,
+      scoringPolicy: 'standard',
+      timerMode: 'total-time',
+      timerDuration: 240,
+      allowSkip: true,
+      lockOnAnswer: false
+    }
+  },
+  'official-intermediate': {
+    name: { ar: 'رسمي: متوسط', en: 'Official: Intermediate' },
+    seedPolicy: 'fixed',
+    seed: 20252,
+    settings: {
+      questionCount: 30,
+      difficulty: 'medium',
+      multiplicationRule: 'random',
+      operations: ['multiply'],
+      factorSelection: DEFAULT_FACTOR_SELECTION,
+      answerMode: 'typed',
+      optionCount: 4,
+      scoringPolicy: 'negative',
+      timerMode: 'per-question',
+      timerDuration: 10,
+      allowSkip: false,
+      lockOnAnswer: true
+    }
+  },
+  'official-advanced': {
+    name: { ar: 'رسمي: متقدم', en: 'Official: Advanced' },
+    seedPolicy: 'random',
+    seed: null,
+    settings: {
+      questionCount: 50,
+      difficulty: 'hard',
+      multiplicationRule: 'random',
+      operations: ['multiply'],
+      factorSelection: DEFAULT_FACTOR_SELECTION,
+      answerMode: 'typed',
+      optionCount: 4,
+      scoringPolicy: 'competition',
+      timerMode: 'total-time',
+      timerDuration: 300,
+      allowSkip: false,
+      lockOnAnswer: true
+    }
+  }
+};
+
+/**
+ * Get the exam settings a preset fixes
+ * @param {string|null} id - Preset id
+ * @returns {Object|null} Settings (with presetId), or null for an unknown id
+ */
+export function getPresetSettings(id) {
+  const preset = OFFICIAL_PRESETS[id];
+  if (!preset) return null;
+
+  return {
+    ...preset.settings,
+    presetId: id,
+    seed: preset.seedPolicy === 'fixed' ? preset.seed : null,
+    blueprintId: null,
+    blueprint: null,
+    questionSet: null
+  };
+}
+
+/**
+ * Describe a preset (e.g. "20 questions, Easy, 04:00 in total, same questions for everyone")
+ * @param {string} id - Preset id
+ * @param {string} lang - 'ar' or 'en'
+ * @returns {string} Description
+ */
+export function describePreset(id, lang = 'ar') {
+  const preset = OFFICIAL_PRESETS[id];
+  if (!preset) return '';
+
+  const { questionCount, difficulty, timerMode, timerDuration } = preset.settings;
+  const isArabic = lang !== 'en';
+  const difficultyName = DIFFICULTY_NAMES[difficulty]?.[isArabic ? 'ar' : 'en'] || difficulty;
+  const timer = timerMode === 'per-question'
+    ? (isArabic ? `${timerDuration} ثانية لكل سؤال` : `${timerDuration}s per question`)
+    : (isArabic ? `${formatTime(timerDuration)} للاختبار كاملاً` : `${formatTime(timerDuration)} in total`);
+  const questions = preset.seedPolicy === 'fixed'
+    ? (isArabic ? 'الأسئلة نفسها للجميع' : 'same questions for everyone')
+    : (isArabic ? 'أسئلة جديدة في كل محاولة' : 'new questions every run');
+
+  return isArabic
+    ? `${questionCount} سؤالاً، ${difficultyName}، ${timer}، ${questions}`
+    : `${questionCount} questions, ${difficultyName}, ${timer}, ${questions}`;
+}
+
+/**
+ * Fingerprint the settings that decide how hard a session is
+ * Sessions with the same fingerprint were run under the same rules and can be ranked
+ * against each other.
+ * @param {string} testType - 'training' or 'exam'
+ * @param {Object} settings - Session settings
+ * @returns {string} 8-digit hex fingerprint
+ */
+export function getConfigFingerprint(testType, settings) {
+  const blueprint = settings.blueprint && !settings.questionSet ? settings.blueprint : null;
+  const config = {
+    testType,
+    questionSet: settings.questionSet ? settings.questionSet.questions : null,
+    blueprint: blueprint ? { order: blueprint.order, sections: blueprint.sections } : null,
+    questionCount: blueprint || settings.questionSet ? null : settings.questionCount,
+    difficulty: settings.difficulty,
+    multiplicationRule: settings.multiplicationRule || 'random',
+    operations: [...(settings.operations || ['multiply'])].sort(),
+    factorSelection: { ...DEFAULT_FACTOR_SELECTION, ...(settings.factorSelection || {}) },
+    answerMode: settings.answerMode || 'choice',
+    optionCount: settings.answerMode === 'typed' ? null : (settings.optionCount || 4),
+    scoringPolicy: settings.scoringPolicy || 'standard',
+    seed: settings.seed || null
+  };
+
+  if (testType === 'exam') {
+    Object.assign(config, {
+      timerMode: settings.timerMode,
+      timerDuration: settings.timerDuration,
+      allowSkip: settings.allowSkip !== false,
+      lockOnAnswer: Boolean(settings.lockOnAnswer)
+    });
+  } else if (testType === 'sprint') {
+    // A sprint generates its questions as it goes, for a fixed time instead of a question count
+    Object.assign(config, { questionSet: null, blueprint: null, questionCount: null, sprintDuration: settings.sprintDuration });
+  } else {
+    Object.assign(config, {
+      trainingMode: settings.trainingMode || 'standard',
+      adaptiveDifficulty: Boolean(settings.adaptiveDifficulty)
+    });
+    // Only added when on, so sessions saved before the option keep their fingerprint
+    if (settings.masterMistakes) {
+      config.masterMistakes = true;
+    }
+    // A survival run always starts at easy, has no question count and ignores question sets
+    if (config.trainingMode === 'survival') {
+      Object.assign(config, { questionSet: null, questionCount: null, difficulty: null, factorSelection: null, adaptiveDifficulty: false });
+      delete config.masterMistakes;
+    }
+  }
+
+  // FNV-1a over the JSON (its keys are always built in the same order)
+  const text = JSON.stringify(config);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
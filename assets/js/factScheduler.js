@@ -0,0 +1,141 @@
+// SuperMind Trainer - Spaced Repetition of Individual Facts
+
+import { Storage } from './utils.js';
+
+const STORAGE_KEY = 'factSchedule';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leitner boxes: days to wait before a fact in each box is due again
+const BOX_INTERVALS = [0, 1, 2, 4, 8, 16];
+const MAX_BOX = BOX_INTERVALS.length - 1;
+
+// Correct answers slower than this are kept in their box instead of promoted
+const SLOW_ANSWER_MS = 10000;
+
+// Operations where the order of the factors does not matter
+const COMMUTATIVE_OPERATIONS = ['multiply', 'add'];
+
+/**
+ * Leitner scheduler keyed by the normalized fact pair
+ * Each entry is { key, operator, factorA, factorB, box, dueAt, lastReviewed, reviews, lapses }.
+ */
+export const FactScheduler = {
+  /**
+   * Get the normalized key of a fact (7 × 23 and 23 × 7 share a key)
+   * @param {Object} fact - { operator, factorA, factorB }
+   * @returns {string} Fact key
+   */
+  getKey({ operator = 'multiply', factorA, factorB }) {
+    const [a, b] = COMMUTATIVE_OPERATIONS.includes(operator)
+      ? [Math.min(factorA, factorB), Math.max(factorA, factorB)]
+      : [factorA, factorB];
+    return `${operator}:${a}:${b}`;
+  },
+
+  /**
+   * Load the schedule, building it from the training log the first time
+   * @returns {Object} Entries by fact key
+   */
+  load() {
+    const schedule = Storage.load(STORAGE_KEY, null);
+    if (schedule) return schedule;
+    return this.rebuild(Storage.load('trainingResults', []));
+  },
+
+  /**
+   * Rebuild the schedule by replaying a per-question log
+   * @param {Array} log - Question results ({ operator, factorA, factorB, isCorrect, responseTime, timestamp })
+   * @returns {Object} Entries by fact key
+   */
+  rebuild(log) {
+    const schedule = {};
+    [...log]
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+      .forEach(result => this.applyResult(schedule, result, result.timestamp || Date.now()));
+    Storage.save(STORAGE_KEY, schedule);
+    return schedule;
+  },
+
+  /**
+   * Record an answered question
+   * @param {Object} result - { operator, factorA, factorB, isCorrect, responseTime }
+   * @param {number} now - Review time in ms
+   * @returns {Object} Updated entry
+   */
+  record(result, now = Date.now()) {
+    const schedule = this.load();
+    const entry = this.applyResult(schedule, result, now);
+    Storage.save(STORAGE_KEY, schedule);
+    return entry;
+  },
+
+  /**
+   * Move a fact between boxes (wrong → box 0, fast correct → next box)
+   * @param {Object} schedule - Entries by fact key
+   * @param {Object} result - Question result
+   * @param {number} now - Review time in ms
+   * @returns {Object} Updated entry
+   */
+  applyResult(schedule, result, now) {
+    const operator = result.operator || 'multiply';
+    const key = this.getKey({ ...result, operator });
+    const entry = schedule[key] || {
+      key,
+      operator,
+      factorA: result.factorA,
+      factorB: result.factorB,
+      box: 0,
+      reviews: 0,
+      lapses: 0
+    };
+
+    if (!result.isCorrect) {
+      entry.box = 0;
+      entry.lapses++;
+    } else if ((result.responseTime || 0) <= SLOW_ANSWER_MS) {
+      entry.box = Math.min(MAX_BOX, entry.box + 1);
+    }
+
+    entry.reviews++;
+    entry.lastReviewed = now;
+    entry.dueAt = now + BOX_INTERVALS[entry.box] * DAY_MS;
+    schedule[key] = entry;
+    return entry;
+  },
+
+  /**
+   * Get facts due for review, lowest box and most overdue first
+   * @param {number} now - Current time in ms
+   * @param {Array} operations - Optional operations to restrict to
+   * @returns {Array} Due entries
+   */
+  getDue(now = Date.now(), operations = null) {
+    return Object.values(this.load())
+      .filter(entry => entry.dueAt <= now)
+      .filter(entry => !operations || operations.includes(entry.operator))
+      .sort((a, b) => a.box - b.box || a.dueAt - b.dueAt);
+  },
+
+  /**
+   * Count facts due for review
+   * @param {number} now - Current time in ms
+   * @param {Array} operations - Optional operations to restrict to
+   * @returns {number} Due count
+   */
+  getDueCount(now = Date.now(), operations = null) {
+    return this.getDue(now, operations).length;
+  },
+
+  /**
+   * Pick the facts a review session asks about
+   * A review session is never refused: when nothing is due it falls back to newly generated
+   * questions, whichever page it is started from.
+   * @param {number} count - Most facts to review
+   * @param {Array} operations - Optional operations to restrict to
+   * @param {number} now - Current time in ms
+   * @returns {Array} Due entries (empty when the session falls back to new questions)
+   */
+  getReviewFacts(count, operations = null, now = Date.now()) {
+    return this.getDue(now, operations).slice(0, count);
+  }
+};
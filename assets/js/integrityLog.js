@@ -0,0 +1,129 @@
+// SuperMind Trainer - Exam Integrity Log
+
+// Gaps without any key press or click longer than this are logged as idle
+export const IDLE_GAP_MS = 60000;
+
+// Logged event types and their labels
+export const INTEGRITY_EVENTS = {
+  hidden: { ar: 'غادر تبويب الاختبار', en: 'Left the exam tab' },
+  visible: { ar: 'عاد إلى تبويب الاختبار', en: 'Returned to the exam tab' },
+  blur: { ar: 'فقدت نافذة الاختبار التركيز', en: 'Exam window lost focus' },
+  focus: { ar: 'عاد التركيز إلى نافذة الاختبار', en: 'Exam window regained focus' },
+  idle: { ar: 'فترة خمول', en: 'Idle gap' },
+  reload: { ar: 'أُعيد تحميل صفحة الاختبار', en: 'Exam page reloaded' },
+  resume: { ar: 'استئناف الاختبار', en: 'Exam resumed' },
+  'auto-submit': { ar: 'تسليم تلقائي بسبب المخالفات', en: 'Auto-submitted after violations' }
+};
+
+/**
+ * Watches the exam page for focus loss, tab switches and idle gaps
+ * Each entry is { type, at, questionIndex } where `at` is ms since the exam started;
+ * returns carry `awayMs` and idle gaps `idleMs`. Leaving the window (blur or hidden tab)
+ * counts as one violation until the student is back.
+ */
+export class IntegrityMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {Array} options.log - Entries recorded so far (when resuming)
+   * @param {number} options.violationCount - Violations counted so far (when resuming)
+   * @param {Function} options.getContext - Returns { elapsedMs, questionIndex }
+   * @param {Function} options.onViolation - Called with the new violation count
+   * @param {Function} options.onChange - Called after every entry
+   */
+  constructor({ log = [], violationCount = 0, getContext, onViolation = () => {}, onChange = () => {} }) {
+    this.log = log;
+    this.violationCount = violationCount;
+    this.getContext = getContext;
+    this.onViolation = onViolation;
+    this.onChange = onChange;
+    this.awaySince = null;
+    this.lastActivity = Date.now();
+
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.leave('hidden');
+      } else {
+        this.comeBack('visible');
+      }
+    };
+    this.handleBlur = () => this.leave('blur');
+    this.handleFocus = () => this.comeBack('focus');
+    this.handleActivity = () => this.recordActivity();
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('blur', this.handleBlur);
+    window.addEventListener('focus', this.handleFocus);
+    document.addEventListener('keydown', this.handleActivity);
+    document.addEventListener('pointerdown', this.handleActivity);
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('blur', this.handleBlur);
+    window.removeEventListener('focus', this.handleFocus);
+    document.removeEventListener('keydown', this.handleActivity);
+    document.removeEventListener('pointerdown', this.handleActivity);
+  }
+
+  /**
+   * Add an entry to the log
+   * @param {string} type - Key of INTEGRITY_EVENTS
+   * @param {Object} details - Extra fields (an `at` here overrides the current time)
+   * @returns {Object} Entry
+   */
+  record(type, details = {}) {
+    const { elapsedMs, questionIndex } = this.getContext();
+    const entry = { type, at: Math.max(0, elapsedMs), questionIndex, ...details };
+    this.log.push(entry);
+    this.onChange();
+    return entry;
+  }
+
+  /**
+   * The student left the exam window; a new absence counts as a violation
+   * @param {string} type - 'hidden' or 'blur'
+   */
+  leave(type) {
+    this.record(type);
+    if (this.awaySince === null) {
+      this.awaySince = Date.now();
+      this.violationCount++;
+      this.onViolation(this.violationCount);
+    }
+  }
+
+  /**
+   * The student came back; the absence ends once the tab is visible and focused
+   * @param {string} type - 'visible' or 'focus'
+   */
+  comeBack(type) {
+    const isBack = document.visibilityState === 'visible' && document.hasFocus();
+    if (isBack && this.awaySince !== null) {
+      this.record(type, { awayMs: Date.now() - this.awaySince });
+      this.awaySince = null;
+    } else {
+      this.record(type);
+    }
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * Log the gap before a key press or click when it was long enough to be idle
+   */
+  recordActivity() {
+    const now = Date.now();
+    const gap = now - this.lastActivity;
+    this.lastActivity = now;
+    if (gap >= IDLE_GAP_MS && this.awaySince === null) {
+      this.record('idle', { at: Math.max(0, this.getContext().elapsedMs - gap), idleMs: gap });
+    }
+  }
+}
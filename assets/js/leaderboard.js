@@ -1,6 +1,72 @@
 // SuperMind Trainer - Leaderboard
 
 import { Storage, formatTime, formatDate, exportToCSV, showNotification } from './utils.js';
+import { DIFFICULTY_LEVELS, DIFFICULTY_NAMES } from './questionGenerator.js';
+
+// Leaderboard categories (survival runs are training sessions ranked on their own)
+const SCORE_CATEGORIES = {
+  training: { ar: 'تدريب', en: 'Training' },
+  exam: { ar: 'اختبار', en: 'Exam' },
+  survival: { ar: 'بقاء', en: 'Survival' },
+  sprint: { ar: 'سرعة', en: 'Sprint' }
+};
+
+/**
+ * Get the leaderboard category of a score
+ * @param {Object} score - Leaderboard entry
+ * @returns {string} Key of SCORE_CATEGORIES
+ */
+function getScoreCategory(score) {
+  return score.survival ? 'survival' : score.type;
+}
+
+/**
+ * Rank survival runs: more questions survived first, then the higher difficulty reached
+ * @param {Object} a - Leaderboard entry
+ * @param {Object} b - Leaderboard entry
+ * @returns {number} Sort order
+ */
+function compareSurvival(a, b) {
+  return (b.survival?.questionsSurvived || 0) - (a.survival?.questionsSurvived || 0) ||
+    DIFFICULTY_LEVELS.indexOf(b.survival?.highestDifficulty) - DIFFICULTY_LEVELS.indexOf(a.survival?.highestDifficulty);
+}
+
+/**
+ * Rank sprints: more correct answers per minute first, then the higher accuracy
+ * @param {Object} a - Leaderboard entry
+ * @param {Object} b - Leaderboard entry
+ * @returns {number} Sort order
+ */
+function compareSprint(a, b) {
+  return (b.throughput || 0) - (a.throughput || 0) || (b.accuracy ?? 0) - (a.accuracy ?? 0);
+}
+
+/**
+ * Rank by percentage score (training and exam sessions)
+ * @param {Object} a - Leaderboard entry
+ * @param {Object} b - Leaderboard entry
+ * @returns {number} Sort order
+ */
+function compareScore(a, b) {
+  return b.score - a.score;
+}
+
+// Categories ranked by their own measure instead of the percentage score
+const CATEGORY_COMPARATORS = {
+  survival: compareSurvival,
+  sprint: compareSprint
+};
+
+/**
+ * Get how to rank entries by score: survival runs by how long they lasted and sprints by
+ * throughput when every entry is of that category, otherwise by percentage
+ * @param {Array} scores - Leaderboard entries to rank
+ * @returns {Function} Comparator
+ */
+function getScoreComparator(scores) {
+  const categories = new Set(scores.map(getScoreCategory));
+  return categories.size === 1 ? CATEGORY_COMPARATORS[[...categories][0]] || compareScore : compareScore;
+}
 
 /**
  * Leaderboard Controller
@@ -12,7 +78,8 @@ export class LeaderboardController {
     this.currentFilters = {
       mode: 'all',
       sortBy: 'score',
-      timeRange: 'all'
+      timeRange: 'all',
+      config: 'all'
     };
     
     this.initializeElements();
@@ -29,6 +96,7 @@ export class LeaderboardController {
       filterModeEl: document.getElementById('filter-mode'),
       sortByEl: document.getElementById('sort-by'),
       timeRangeEl: document.getElementById('time-range'),
+      filterConfigEl: document.getElementById('filter-config'),
       
       // Statistics
       totalTestsEl: document.getElementById('total-tests'),
@@ -80,6 +148,11 @@ export class LeaderboardController {
       this.applyFilters();
     });
 
+    this.elements.filterConfigEl?.addEventListener('change', (e) => {
+      this.currentFilters.config = e.target.value;
+      this.applyFilters();
+    });
+
     // Action buttons
     this.elements.clearScoresBtnEl?.addEventListener('click', () => this.showClearConfirmation());
     this.elements.exportLeaderboardCsvBtnEl?.addEventListener('click', () => this.exportLeaderboard('csv'));
@@ -149,19 +222,29 @@ export class LeaderboardController {
    * Load leaderboard data
    */
   loadLeaderboard() {
-    // Load from both training and exam sessions
+    // Load from training, exam and sprint sessions
     const trainingSessions = Storage.load('trainingSessions', []);
     const examSessions = Storage.load('examSessions', []);
+    const sprintSessions = Storage.load('sprintSessions', []);
     const savedLeaderboard = Storage.load('leaderboard', []);
     
     // Combine all sessions and convert to leaderboard format
-    const allSessions = [...trainingSessions, ...examSessions];
+    const allSessions = [...trainingSessions, ...examSessions, ...sprintSessions];
     const sessionLeaderboard = allSessions.map(session => ({
       id: session.id,
       playerName: session.playerName || 'مجهول',
       comment: session.comment || '',
       type: session.type,
       score: session.score,
+      // Sessions saved before scoring policies scored by accuracy
+      accuracy: session.accuracy ?? session.score,
+      scoringPolicy: session.scoringPolicy || null,
+      violationCount: session.violationCount || 0,
+      preset: session.preset || null,
+      configFingerprint: session.configFingerprint || null,
+      survival: session.survival || null,
+      throughput: session.throughput ?? null,
+      sprintDuration: session.sprintDuration ?? null,
       correctCount: session.correctCount,
       wrongCount: session.wrongCount,
       totalQuestions: session.totalQuestions,
@@ -178,11 +261,48 @@ export class LeaderboardController {
       index === self.findIndex(t => t.id === item.id)
     );
     
+    this.populateConfigFilter();
     this.applyFilters();
     this.updateStatistics();
     this.updateAchievements();
   }
 
+  /**
+   * Fill the settings filter with one option per configuration fingerprint
+   * (sessions saved before fingerprints existed only show under "all")
+   */
+  populateConfigFilter() {
+    const select = this.elements.filterConfigEl;
+    if (!select) return;
+
+    const configs = new Map();
+    this.leaderboard.forEach(score => {
+      if (!score.configFingerprint) return;
+      const config = configs.get(score.configFingerprint) || { score, count: 0 };
+      config.count++;
+      configs.set(score.configFingerprint, config);
+    });
+
+    select.querySelectorAll('option:not([value="all"])').forEach(option => option.remove());
+    configs.forEach(({ score, count }, fingerprint) => {
+      const option = document.createElement('option');
+      option.value = fingerprint;
+      option.dataset.ar = score.preset
+        ? `${score.preset.name.ar} (${count})`
+        : `${SCORE_CATEGORIES[getScoreCategory(score)].ar}: ${score.totalQuestions} سؤالاً، ${score.difficulty || 'عادي'} #${fingerprint} (${count})`;
+      option.dataset.en = score.preset
+        ? `${score.preset.name.en} (${count})`
+        : `${SCORE_CATEGORIES[getScoreCategory(score)].en}: ${score.totalQuestions} questions, ${score.difficulty || 'normal'} #${fingerprint} (${count})`;
+      option.textContent = document.documentElement.lang === 'ar' ? option.dataset.ar : option.dataset.en;
+      select.appendChild(option);
+    });
+
+    if (!configs.has(this.currentFilters.config)) {
+      this.currentFilters.config = 'all';
+    }
+    select.value = this.currentFilters.config;
+  }
+
   /**
    * Apply filters to leaderboard
    */
@@ -191,7 +311,12 @@ export class LeaderboardController {
 
     // Filter by mode
     if (this.currentFilters.mode !== 'all') {
-      filtered = filtered.filter(score => score.type === this.currentFilters.mode);
+      filtered = filtered.filter(score => getScoreCategory(score) === this.currentFilters.mode);
+    }
+
+    // Rank only sessions run with the same settings
+    if (this.currentFilters.config !== 'all') {
+      filtered = filtered.filter(score => score.configFingerprint === this.currentFilters.config);
     }
 
     // Filter by time range
@@ -212,17 +337,17 @@ export class LeaderboardController {
       }
     }
 
-    // Sort by selected criteria
+    // Sort by selected criteria (a mode or settings filter that leaves one category ranks it by its own measure)
+    const compareByScore = getScoreComparator(filtered);
     filtered.sort((a, b) => {
       switch (this.currentFilters.sortBy) {
-        case 'score':
-          return b.score - a.score;
         case 'date':
           return b.timestamp - a.timestamp;
         case 'time':
           return a.totalTime - b.totalTime;
+        case 'score':
         default:
-          return b.score - a.score;
+          return compareByScore(a, b);
       }
     });
 
@@ -258,7 +383,7 @@ export class LeaderboardController {
 
     const rank = index + 1;
     const rankClass = rank <= 3 ? 'top-3' : '';
-    const typeText = score.type === 'training' ? 'تدريب' : 'اختبار';
+    const typeText = SCORE_CATEGORIES[getScoreCategory(score)].ar;
     const dateText = formatDate(score.timestamp);
 
     scoreEl.innerHTML = `
@@ -269,9 +394,17 @@ export class LeaderboardController {
           <span>${typeText}</span>
           <span>${dateText}</span>
           <span>${score.difficulty || 'عادي'}</span>
+          ${score.scoringPolicy ? `<span>${score.scoringPolicy.name.ar}</span>` : ''}
+          ${score.preset ? `<span class="leaderboard-preset">${score.preset.name.ar}</span>` : ''}
+          ${score.violationCount > 0 ? `<span class="integrity-flag" title="مرات مغادرة نافذة الاختبار">⚠️ ${score.violationCount}</span>` : ''}
         </div>
       </div>
-      <div class="leaderboard-score">${score.score}%</div>
+      <div class="leaderboard-score">
+        ${score.survival ? `${score.survival.questionsSurvived}
+        <span class="leaderboard-accuracy">سؤالاً، حتى ${DIFFICULTY_NAMES[score.survival.highestDifficulty]?.ar || score.survival.highestDifficulty}</span>` : score.type === 'sprint' ? `${score.throughput}
+        <span class="leaderboard-accuracy">إجابة/دقيقة، دقة ${score.accuracy}%</span>` : `${score.score}%
+        <span class="leaderboard-accuracy">دقة ${score.accuracy ?? score.score}%</span>`}
+      </div>
     `;
 
     // Add click event to show details
@@ -407,7 +540,7 @@ export class LeaderboardController {
   showScoreDetails(score) {
     this.currentScore = score;
     
-    const typeText = score.type === 'training' ? 'تدريب' : 'اختبار';
+    const typeText = SCORE_CATEGORIES[getScoreCategory(score)].ar;
     const dateText = formatDate(score.timestamp);
     const timeText = formatTime(score.totalTime);
 
@@ -424,14 +557,23 @@ export class LeaderboardController {
         <p><strong>التاريخ:</strong> ${dateText}</p>
         <p><strong>الصعوبة:</strong> ${score.difficulty || 'عادي'}</p>
         <p><strong>الوقت المستغرق:</strong> ${timeText}</p>
+        ${score.preset ? `<p><strong>الإعداد الرسمي:</strong> ${score.preset.name.ar}</p>` : ''}
+        ${score.configFingerprint ? `<p><strong>بصمة الإعدادات:</strong> ${score.configFingerprint}</p>` : ''}
+        ${score.violationCount > 0 ? `<p><strong>مرات مغادرة نافذة الاختبار:</strong> ${score.violationCount}</p>` : ''}
       </div>
       
       <div class="score-detail-section">
         <h3>النتائج</h3>
         <p><strong>النتيجة:</strong> ${score.score}%</p>
+        <p><strong>الدقة:</strong> ${score.accuracy ?? score.score}%</p>
+        <p><strong>طريقة احتساب النتيجة:</strong> ${score.scoringPolicy ? score.scoringPolicy.name.ar : 'قياسي'}</p>
         <p><strong>الإجابات الصحيحة:</strong> ${score.correctCount}</p>
         <p><strong>الإجابات الخاطئة:</strong> ${score.wrongCount}</p>
         <p><strong>إجمالي الأسئلة:</strong> ${score.totalQuestions}</p>
+        ${score.survival ? `<p><strong>الأسئلة التي نجوت منها:</strong> ${score.survival.questionsSurvived}</p>
+        <p><strong>أعلى مستوى صعوبة:</strong> ${DIFFICULTY_NAMES[score.survival.highestDifficulty]?.ar || score.survival.highestDifficulty}</p>` : ''}
+        ${score.type === 'sprint' ? `<p><strong>الإجابات الصحيحة في الدقيقة:</strong> ${score.throughput}</p>
+        <p><strong>مدة الجولة:</strong> ${score.sprintDuration} ثانية</p>` : ''}
       </div>
     `;
 
@@ -509,12 +651,21 @@ export class LeaderboardController {
       'Player Name',
       'Type',
       'Score (%)',
+      'Accuracy (%)',
+      'Scoring Policy',
       'Correct Answers',
       'Wrong Answers',
       'Total Questions',
       'Total Time In Minutes (seconds)',
       'Difficulty',
       'Date',
+      'Integrity Violations',
+      'Preset',
+      'Configuration Fingerprint',
+      'Questions Survived',
+      'Highest Difficulty',
+      'Throughput (correct/min)',
+      'Sprint Duration',
       'Comment'
     ]);
 
@@ -532,14 +683,23 @@ export class LeaderboardController {
     return this.filteredLeaderboard.map((score, index) => [
       index + 1,
       score.playerName,
-      score.type === 'training' ? 'Training' : 'Exam',
+      SCORE_CATEGORIES[getScoreCategory(score)].en,
       score.score,
+      score.accuracy ?? score.score,
+      score.scoringPolicy ? score.scoringPolicy.name.en : 'Standard (accuracy)',
       score.correctCount,
       score.wrongCount,
       score.totalQuestions,
       score.totalTime,
       score.difficulty || 'Normal',
       formatDate(score.timestamp),
+      score.violationCount || 0,
+      score.preset ? score.preset.name.en : '',
+      score.configFingerprint || '',
+      score.survival ? score.survival.questionsSurvived : '',
+      score.survival ? score.survival.highestDifficulty : '',
+      score.type === 'sprint' ? score.throughput : '',
+      score.type === 'sprint' ? score.sprintDuration : '',
       score.comment || ''
     ]);
   }
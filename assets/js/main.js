@@ -1,6 +1,23 @@
 // SuperMind Trainer - Main Page Controller
 
-import { Storage, showNotification, formatTime } from './utils.js';
+import { Storage, showNotification, formatTime, parseSeed, generateSeed, setNextSessionSeed, exportToJSON } from './utils.js';
+import { RuleRegistry } from './multiplicationRules.js';
+import { questionGenerator, getFactorOptions, MIN_OPTION_COUNT, MAX_OPTION_COUNT, DEFAULT_FACTOR_SELECTION, MAX_CUSTOM_FACTOR, DIFFICULTY_LEVELS, DIFFICULTY_NAMES } from './questionGenerator.js';
+import { FactScheduler } from './factScheduler.js';
+import { BlueprintStore, MAX_BLUEPRINT_QUESTIONS, MAX_SECTION_TIME_LIMIT } from './examBlueprints.js';
+import { SCORING_POLICIES, DEFAULT_SCORING_POLICY } from './scoring.js';
+import { OFFICIAL_PRESETS, PRESET_LOCKED_FIELDS, getPresetSettings, describePreset } from './examPresets.js';
+import { SPRINT_DURATIONS, DEFAULT_SPRINT_DURATION } from './sprintMode.js';
+
+// Page of each test type (under assets/html/)
+const TEST_PAGES = {
+  training: 'training.html',
+  exam: 'exam.html',
+  sprint: 'sprint.html'
+};
+
+// Tables offered in the custom factor selection
+const TABLE_CHOICES = Array.from({ length: 19 }, (_, i) => i + 2);
 
 /**
  * Main Page Controller
@@ -8,7 +25,13 @@ import { Storage, showNotification, formatTime } from './utils.js';
 export class MainController {
   constructor() {
     this.settings = this.loadSettings();
+    this.questionSet = null;
     this.initializeElements();
+    this.populateRuleOptions();
+    this.populateTableOptions();
+    this.populateBlueprintOptions();
+    this.populateScoringPolicyOptions();
+    this.populatePresetOptions();
     this.bindEvents();
     this.updateQuickStats();
   }
@@ -24,14 +47,66 @@ export class MainController {
       // Settings modal
       settingsModal: document.getElementById('settings-modal'),
       settingsForm: document.getElementById('settings-form'),
+      trainingModeGroup: document.getElementById('training-mode-group'),
+      trainingModeSelect: document.getElementById('training-mode'),
+      dueFactsCountEl: document.getElementById('due-facts-count'),
+      adaptiveDifficultyGroup: document.getElementById('adaptive-difficulty-group'),
+      adaptiveDifficultyCheckbox: document.getElementById('adaptive-difficulty'),
+      masterMistakesGroup: document.getElementById('master-mistakes-group'),
+      masterMistakesCheckbox: document.getElementById('master-mistakes'),
+      blueprintGroup: document.getElementById('blueprint-group'),
+      blueprintSelect: document.getElementById('exam-blueprint'),
+      blueprintSummary: document.getElementById('blueprint-summary'),
+      blueprintNameInput: document.getElementById('blueprint-name'),
+      blueprintOrderSelect: document.getElementById('blueprint-order'),
+      blueprintSectionsEl: document.getElementById('blueprint-sections'),
+      addBlueprintSectionBtn: document.getElementById('add-blueprint-section'),
+      saveBlueprintBtn: document.getElementById('save-blueprint'),
+      deleteBlueprintBtn: document.getElementById('delete-blueprint'),
       questionCountSelect: document.getElementById('question-count'),
+      questionCountGroup: document.getElementById('question-count-group'),
+      questionSetGroup: document.getElementById('question-set-group'),
+      sprintDurationGroup: document.getElementById('sprint-duration-group'),
+      sprintDurationSelect: document.getElementById('sprint-duration'),
+      scoringPolicySelect: document.getElementById('scoring-policy'),
       timerModeSelect: document.getElementById('timer-mode'),
       timerDurationGroup: document.getElementById('timer-duration-group'),
       timerDurationInput: document.getElementById('timer-duration'),
+      maxViolationsGroup: document.getElementById('max-violations-group'),
+      maxViolationsInput: document.getElementById('max-violations'),
+      answerRulesGroup: document.getElementById('answer-rules-group'),
+      presetGroup: document.getElementById('preset-group'),
+      presetSelect: document.getElementById('exam-preset'),
+      presetSummary: document.getElementById('preset-summary'),
+      allowSkipCheckbox: document.getElementById('allow-skip'),
+      lockOnAnswerCheckbox: document.getElementById('lock-on-answer'),
       soundEnabledCheckbox: document.getElementById('sound-enabled'),
       // Difficulty
       difficultySelect: document.getElementById('difficulty'),
       multiplicationRuleSelect: document.getElementById('multiplication-rule'),
+      multiplicationRuleGroup: document.getElementById('multiplication-rule-group'),
+      factorModeSelect: document.getElementById('factor-mode'),
+      tablesGroup: document.getElementById('tables-group'),
+      tablesContainer: document.getElementById('tables-checkboxes'),
+      factorRangeGroup: document.getElementById('factor-range-group'),
+      factorARangeRow: document.getElementById('factor-a-range'),
+      factorAMinInput: document.getElementById('factor-a-min'),
+      factorAMaxInput: document.getElementById('factor-a-max'),
+      factorBMinInput: document.getElementById('factor-b-min'),
+      factorBMaxInput: document.getElementById('factor-b-max'),
+      seedInput: document.getElementById('question-seed'),
+      operationCheckboxes: document.querySelectorAll('input[name="operations"]'),
+      answerModeSelect: document.getElementById('answer-mode'),
+      optionCountGroup: document.getElementById('option-count-group'),
+      optionCountSelect: document.getElementById('option-count'),
+      questionSetFileInput: document.getElementById('question-set-file'),
+      questionSetInfo: document.getElementById('question-set-info'),
+      questionSetSummary: document.getElementById('question-set-summary'),
+      questionSetErrors: document.getElementById('question-set-errors'),
+      clearQuestionSetBtn: document.getElementById('clear-question-set'),
+      questionSetTitleInput: document.getElementById('question-set-title'),
+      questionSetAuthorInput: document.getElementById('question-set-author'),
+      exportQuestionSetBtn: document.getElementById('export-question-set'),
       cancelSettingsBtn: document.getElementById('cancel-settings'),
       startTestBtn: document.getElementById('start-test'),
       
@@ -63,6 +138,61 @@ export class MainController {
       this.toggleTimerDurationGroup(e.target.value);
     });
 
+    this.elements.answerModeSelect?.addEventListener('change', (e) => {
+      this.toggleOptionCountGroup(e.target.value);
+    });
+
+    this.elements.difficultySelect?.addEventListener('change', (e) => {
+      this.updateRuleAvailability(e.target.value);
+    });
+
+    this.elements.factorModeSelect?.addEventListener('change', (e) => {
+      this.toggleFactorSelectionGroups(e.target.value);
+    });
+
+    this.elements.blueprintSelect?.addEventListener('change', (e) => {
+      this.loadBlueprintIntoEditor(e.target.value);
+    });
+
+    this.elements.presetSelect?.addEventListener('change', (e) => {
+      this.applyPresetToForm(e.target.value);
+    });
+
+    this.elements.addBlueprintSectionBtn?.addEventListener('click', () => {
+      this.elements.blueprintSectionsEl.appendChild(this.createBlueprintSectionRow());
+    });
+
+    this.elements.blueprintSectionsEl?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.blueprint-remove');
+      if (removeBtn) removeBtn.closest('.blueprint-section').remove();
+    });
+
+    this.elements.blueprintSectionsEl?.addEventListener('change', (e) => {
+      if (e.target.classList.contains('blueprint-difficulty')) {
+        this.disableIneligibleRules(e.target.closest('.blueprint-section').querySelector('.blueprint-rule'), e.target.value);
+      }
+    });
+
+    this.elements.saveBlueprintBtn?.addEventListener('click', () => {
+      this.saveBlueprint();
+    });
+
+    this.elements.deleteBlueprintBtn?.addEventListener('click', () => {
+      this.deleteBlueprint();
+    });
+
+    this.elements.questionSetFileInput?.addEventListener('change', (e) => {
+      this.loadQuestionSetFile(e.target.files[0]);
+    });
+
+    this.elements.clearQuestionSetBtn?.addEventListener('click', () => {
+      this.clearQuestionSet();
+    });
+
+    this.elements.exportQuestionSetBtn?.addEventListener('click', () => {
+      this.exportQuestionSet();
+    });
+
     this.elements.cancelSettingsBtn?.addEventListener('click', () => {
       this.hideSettingsModal();
     });
@@ -109,7 +239,18 @@ export class MainController {
       timerMode: 'per-question',
       timerDuration: 30,
       soundEnabled: true,
-      difficulty: 'medium'
+      difficulty: 'medium',
+      operations: ['multiply'],
+      answerMode: 'choice',
+      optionCount: 4,
+      adaptiveDifficulty: false,
+      masterMistakes: false,
+      factorSelection: DEFAULT_FACTOR_SELECTION,
+      scoringPolicy: DEFAULT_SCORING_POLICY,
+      maxViolations: 0,
+      allowSkip: true,
+      lockOnAnswer: false,
+      sprintDuration: DEFAULT_SPRINT_DURATION
     };
 
     return Storage.load('appSettings', defaultSettings);
@@ -126,6 +267,9 @@ export class MainController {
       case 'exam':
         this.showSettingsModal('exam');
         break;
+      case 'sprint':
+        this.showSettingsModal('sprint');
+        break;
       case 'leaderboard':
         window.location.href = 'assets/html/leaderboard.html';
         break;
@@ -139,17 +283,64 @@ export class MainController {
     this.currentTestType = testType;
     this.populateSettingsForm();
     
-    // Hide timer options for training mode
+    // Hide timer options for training mode (a sprint has its own duration)
     const timerGroup = document.getElementById('timer-mode')?.closest('.form-group');
     const timerDurationGroup = this.elements.timerDurationGroup;
     
-    if (testType === 'training') {
+    if (testType === 'training' || testType === 'sprint') {
       if (timerGroup) timerGroup.style.display = 'none';
       if (timerDurationGroup) timerDurationGroup.style.display = 'none';
     } else {
       if (timerGroup) timerGroup.style.display = 'block';
       this.toggleTimerDurationGroup(this.settings.timerMode);
     }
+
+    // A sprint has no question count and generates its questions as it goes
+    const isSprint = testType === 'sprint';
+    if (this.elements.sprintDurationGroup) {
+      this.elements.sprintDurationGroup.style.display = isSprint ? 'block' : 'none';
+    }
+    if (this.elements.questionCountGroup) {
+      this.elements.questionCountGroup.style.display = isSprint ? 'none' : 'block';
+    }
+    if (this.elements.questionSetGroup) {
+      this.elements.questionSetGroup.style.display = isSprint ? 'none' : 'block';
+    }
+
+    // Reviewing due facts is a training-only mode
+    if (this.elements.trainingModeGroup) {
+      this.elements.trainingModeGroup.style.display = testType === 'training' ? 'block' : 'none';
+      this.updateDueFactsCount();
+    }
+    if (this.elements.adaptiveDifficultyGroup) {
+      this.elements.adaptiveDifficultyGroup.style.display = testType === 'training' ? 'block' : 'none';
+    }
+    if (this.elements.masterMistakesGroup) {
+      this.elements.masterMistakesGroup.style.display = testType === 'training' ? 'block' : 'none';
+    }
+    // Blueprints describe the structure of a mock exam
+    if (this.elements.blueprintGroup) {
+      this.elements.blueprintGroup.style.display = testType === 'exam' ? 'block' : 'none';
+    }
+    if (this.elements.maxViolationsGroup) {
+      this.elements.maxViolationsGroup.style.display = testType === 'exam' ? 'block' : 'none';
+    }
+    if (this.elements.answerRulesGroup) {
+      this.elements.answerRulesGroup.style.display = testType === 'exam' ? 'block' : 'none';
+    }
+    // Official presets fix the exam settings
+    if (this.elements.presetGroup) {
+      this.elements.presetGroup.style.display = testType === 'exam' ? 'block' : 'none';
+    }
+    if (testType === 'exam') {
+      const presetId = OFFICIAL_PRESETS[this.settings.presetId] ? this.settings.presetId : '';
+      if (this.elements.presetSelect) {
+        this.elements.presetSelect.value = presetId;
+      }
+      this.applyPresetToForm(presetId);
+    } else {
+      this.setPresetFieldsLocked(false);
+    }
     
     this.elements.settingsModal.classList.add('show');
     this.elements.settingsModal.setAttribute('aria-hidden', 'false');
@@ -168,22 +359,409 @@ export class MainController {
 
   /**
    * Populate settings form with current values
+   * @param {Object} settings - Settings to show (the saved settings unless a preset is shown)
    */
-  populateSettingsForm() {
+  populateSettingsForm(settings = this.settings) {
     if (!this.elements.settingsForm) return;
 
-    this.elements.questionCountSelect.value = this.settings.questionCount;
-    this.elements.timerModeSelect.value = this.settings.timerMode;
-    this.elements.timerDurationInput.value = this.settings.timerDuration;
-    this.elements.soundEnabledCheckbox.checked = this.settings.soundEnabled;
+    this.elements.questionCountSelect.value = settings.questionCount;
+    if (this.elements.sprintDurationSelect) {
+      this.elements.sprintDurationSelect.value = SPRINT_DURATIONS.includes(settings.sprintDuration) ? settings.sprintDuration : DEFAULT_SPRINT_DURATION;
+    }
+    this.elements.timerModeSelect.value = settings.timerMode;
+    this.elements.timerDurationInput.value = settings.timerDuration;
+    if (this.elements.maxViolationsInput) {
+      this.elements.maxViolationsInput.value = settings.maxViolations || 0;
+    }
+    if (this.elements.allowSkipCheckbox) {
+      this.elements.allowSkipCheckbox.checked = settings.allowSkip !== false;
+    }
+    if (this.elements.lockOnAnswerCheckbox) {
+      this.elements.lockOnAnswerCheckbox.checked = Boolean(settings.lockOnAnswer);
+    }
+    this.elements.soundEnabledCheckbox.checked = settings.soundEnabled;
     if (this.elements.difficultySelect) {
-      this.elements.difficultySelect.value = this.settings.difficulty;
+      this.elements.difficultySelect.value = settings.difficulty;
     }
     if (this.elements.multiplicationRuleSelect) {
-      this.elements.multiplicationRuleSelect.value = this.settings.multiplicationRule || 'random';
+      this.elements.multiplicationRuleSelect.value = settings.multiplicationRule || 'random';
+      this.updateRuleAvailability(settings.difficulty);
+    }
+    const operations = settings.operations || ['multiply'];
+    this.elements.operationCheckboxes.forEach(checkbox => {
+      checkbox.checked = operations.includes(checkbox.value);
+    });
+    if (this.elements.answerModeSelect) {
+      this.elements.answerModeSelect.value = settings.answerMode || 'choice';
+      this.toggleOptionCountGroup(this.elements.answerModeSelect.value);
+    }
+    if (this.elements.optionCountSelect) {
+      this.elements.optionCountSelect.value = settings.optionCount || 4;
+    }
+    if (this.elements.scoringPolicySelect) {
+      this.elements.scoringPolicySelect.value = SCORING_POLICIES[settings.scoringPolicy] ? settings.scoringPolicy : DEFAULT_SCORING_POLICY;
+    }
+    if (this.elements.factorModeSelect) {
+      const selection = { ...DEFAULT_FACTOR_SELECTION, ...(settings.factorSelection || {}) };
+      this.elements.factorModeSelect.value = selection.mode;
+      this.elements.tablesContainer.querySelectorAll('input[name="tables"]').forEach(checkbox => {
+        checkbox.checked = selection.tables.includes(parseInt(checkbox.value));
+      });
+      this.elements.factorAMinInput.value = selection.factorA.min;
+      this.elements.factorAMaxInput.value = selection.factorA.max;
+      this.elements.factorBMinInput.value = selection.factorB.min;
+      this.elements.factorBMaxInput.value = selection.factorB.max;
+      this.toggleFactorSelectionGroups(selection.mode);
+    }
+    if (this.elements.seedInput) {
+      // Seeds are per session and never carried over
+      this.elements.seedInput.value = '';
+    }
+    if (this.elements.trainingModeSelect) {
+      this.elements.trainingModeSelect.value = 'standard';
+    }
+    if (this.elements.adaptiveDifficultyCheckbox) {
+      this.elements.adaptiveDifficultyCheckbox.checked = Boolean(settings.adaptiveDifficulty);
+    }
+    if (this.elements.masterMistakesCheckbox) {
+      this.elements.masterMistakesCheckbox.checked = Boolean(settings.masterMistakes);
+    }
+    if (this.elements.blueprintSelect) {
+      const blueprintId = BlueprintStore.get(settings.blueprintId) ? settings.blueprintId : '';
+      this.elements.blueprintSelect.value = blueprintId;
+      this.loadBlueprintIntoEditor(blueprintId);
     }
 
-    this.toggleTimerDurationGroup(this.settings.timerMode);
+    this.toggleTimerDurationGroup(settings.timerMode);
+  }
+
+  /**
+   * Fill the multiplication rule select from the rule registry
+   */
+  populateRuleOptions() {
+    const select = this.elements.multiplicationRuleSelect;
+    if (!select) return;
+
+    select.querySelectorAll('option:not([value="random"])').forEach(option => option.remove());
+
+    RuleRegistry.getAll().forEach(rule => {
+      select.appendChild(this.createLocalizedOption(String(rule.id), rule.name));
+    });
+  }
+
+  /**
+   * Fill the official preset select
+   */
+  populatePresetOptions() {
+    const select = this.elements.presetSelect;
+    if (!select) return;
+
+    Object.entries(OFFICIAL_PRESETS).forEach(([id, preset]) => {
+      select.appendChild(this.createLocalizedOption(id, preset.name));
+    });
+  }
+
+  /**
+   * Show a preset's settings in the form and lock them; no preset brings back the saved settings
+   * @param {string} presetId - Preset id, or '' for none
+   */
+  applyPresetToForm(presetId) {
+    const presetSettings = getPresetSettings(presetId);
+    this.populateSettingsForm(presetSettings ? { ...this.settings, ...presetSettings } : this.settings);
+    if (presetSettings && this.elements.seedInput) {
+      this.elements.seedInput.value = presetSettings.seed || '';
+    }
+    this.setPresetFieldsLocked(Boolean(presetSettings));
+
+    if (this.elements.presetSummary) {
+      const arText = presetSettings ? describePreset(presetId, 'ar') : '';
+      const enText = presetSettings ? describePreset(presetId, 'en') : '';
+      this.elements.presetSummary.dataset.ar = arText;
+      this.elements.presetSummary.dataset.en = enText;
+      this.elements.presetSummary.textContent = document.documentElement.lang === 'ar' ? arText : enText;
+    }
+  }
+
+  /**
+   * Enable or disable the settings a preset fixes
+   * @param {boolean} locked - Whether a preset is selected
+   */
+  setPresetFieldsLocked(locked) {
+    this.elements.settingsForm?.querySelectorAll('[name]').forEach(field => {
+      if (PRESET_LOCKED_FIELDS.includes(field.name)) {
+        field.disabled = locked;
+      }
+    });
+    // Question sets replace the preset's questions, so they can't be loaded either
+    if (this.elements.questionSetFileInput) {
+      this.elements.questionSetFileInput.disabled = locked;
+    }
+  }
+
+  /**
+   * Fill the scoring policy select
+   */
+  populateScoringPolicyOptions() {
+    const select = this.elements.scoringPolicySelect;
+    if (!select) return;
+
+    Object.entries(SCORING_POLICIES).forEach(([id, policy]) => {
+      select.appendChild(this.createLocalizedOption(id, policy.name));
+    });
+  }
+
+  /**
+   * Create a select option with Arabic and English labels
+   * @param {string} value - Option value
+   * @param {Object} names - { ar, en }
+   * @returns {HTMLOptionElement} Option element
+   */
+  createLocalizedOption(value, names) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.dataset.ar = names.ar;
+    option.dataset.en = names.en;
+    option.textContent = document.documentElement.lang === 'en' ? names.en : names.ar;
+    return option;
+  }
+
+  /**
+   * Fill the table checkboxes of the custom factor selection
+   */
+  populateTableOptions() {
+    const container = this.elements.tablesContainer;
+    if (!container) return;
+
+    container.innerHTML = '';
+    TABLE_CHOICES.forEach(table => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      label.innerHTML = `<input type="checkbox" name="tables" value="${table}"><span>${table}</span>`;
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Show the inputs of the selected factor mode
+   * Specific tables use only the second factor range; the pattern select only applies to 'rules'.
+   */
+  toggleFactorSelectionGroups(mode) {
+    if (this.elements.tablesGroup) {
+      this.elements.tablesGroup.style.display = mode === 'tables' ? 'block' : 'none';
+    }
+    if (this.elements.factorRangeGroup) {
+      this.elements.factorRangeGroup.style.display = mode === 'rules' ? 'none' : 'block';
+    }
+    if (this.elements.factorARangeRow) {
+      this.elements.factorARangeRow.style.display = mode === 'range' ? 'block' : 'none';
+    }
+    if (this.elements.multiplicationRuleGroup) {
+      this.elements.multiplicationRuleGroup.style.display = mode === 'rules' ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Disable rules that are not eligible for the selected difficulty
+   */
+  updateRuleAvailability(difficulty) {
+    if (!this.elements.multiplicationRuleSelect) return;
+    this.disableIneligibleRules(this.elements.multiplicationRuleSelect, difficulty);
+  }
+
+  /**
+   * Disable the options of a rule select that are not eligible for a difficulty
+   * @param {HTMLSelectElement} select - Rule select with a 'random' option
+   * @param {string} difficulty - Difficulty level
+   */
+  disableIneligibleRules(select, difficulty) {
+    select.querySelectorAll('option:not([value="random"])').forEach(option => {
+      option.disabled = !RuleRegistry.isEligible(RuleRegistry.get(parseInt(option.value)), difficulty);
+    });
+
+    if (select.selectedOptions[0]?.disabled) {
+      select.value = 'random';
+    }
+  }
+
+  /**
+   * Fill the blueprint select with the saved blueprints
+   */
+  populateBlueprintOptions() {
+    const select = this.elements.blueprintSelect;
+    if (!select) return;
+
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+    BlueprintStore.load().forEach(blueprint => {
+      const option = document.createElement('option');
+      option.value = blueprint.id;
+      option.textContent = blueprint.name;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Show a blueprint in the editor (an empty one when none is selected)
+   * @param {string} id - Blueprint id, or '' for none
+   */
+  loadBlueprintIntoEditor(id) {
+    if (!this.elements.blueprintSectionsEl) return;
+
+    const blueprint = id ? BlueprintStore.get(id) : null;
+    this.elements.blueprintNameInput.value = blueprint?.name || '';
+    this.elements.blueprintOrderSelect.value = blueprint?.order || 'sections';
+    this.elements.blueprintSectionsEl.innerHTML = '';
+    (blueprint?.sections || [undefined]).forEach(section => {
+      this.elements.blueprintSectionsEl.appendChild(this.createBlueprintSectionRow(section));
+    });
+    this.updateBlueprintSummary(blueprint);
+  }
+
+  /**
+   * Create an editor row for one blueprint section
+   * @param {Object} section - { count, ruleType, difficulty, timeLimit }
+   * @returns {HTMLElement} Row element
+   */
+  createBlueprintSectionRow(section = { count: 5, ruleType: null, difficulty: 'medium', timeLimit: 0 }) {
+    const row = document.createElement('div');
+    row.className = 'blueprint-section';
+
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.className = 'blueprint-count';
+    countInput.min = '1';
+    countInput.max = String(MAX_BLUEPRINT_QUESTIONS);
+    countInput.value = section.count;
+
+    const ruleSelect = document.createElement('select');
+    ruleSelect.className = 'blueprint-rule';
+    ruleSelect.appendChild(this.createLocalizedOption('random', { ar: 'نمط عشوائي', en: 'Random pattern' }));
+    RuleRegistry.getAll().forEach(rule => {
+      ruleSelect.appendChild(this.createLocalizedOption(String(rule.id), rule.name));
+    });
+
+    const difficultySelect = document.createElement('select');
+    difficultySelect.className = 'blueprint-difficulty';
+    DIFFICULTY_LEVELS.forEach(level => {
+      difficultySelect.appendChild(this.createLocalizedOption(level, DIFFICULTY_NAMES[level]));
+    });
+    difficultySelect.value = section.difficulty;
+
+    const timeLimitInput = document.createElement('input');
+    timeLimitInput.type = 'number';
+    timeLimitInput.className = 'blueprint-time-limit';
+    timeLimitInput.min = '0';
+    timeLimitInput.max = String(MAX_SECTION_TIME_LIMIT);
+    timeLimitInput.value = section.timeLimit > 0 ? section.timeLimit : '';
+    timeLimitInput.dataset.placeholderAr = 'الوقت (ث)';
+    timeLimitInput.dataset.placeholderEn = 'Time (s)';
+    timeLimitInput.placeholder = document.documentElement.lang === 'en' ? 'Time (s)' : 'الوقت (ث)';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-secondary blueprint-remove';
+    removeBtn.setAttribute('aria-label', 'حذف القسم');
+    removeBtn.textContent = '×';
+
+    row.append(countInput, ruleSelect, difficultySelect, timeLimitInput, removeBtn);
+    ruleSelect.value = section.ruleType === null ? 'random' : String(section.ruleType);
+    this.disableIneligibleRules(ruleSelect, section.difficulty);
+    return row;
+  }
+
+  /**
+   * Read the blueprint being edited
+   * Saving while a blueprint is selected updates it; otherwise a new one is created.
+   * @returns {Object} Blueprint
+   */
+  readBlueprintFromEditor() {
+    const rows = this.elements.blueprintSectionsEl.querySelectorAll('.blueprint-section');
+    return {
+      id: this.elements.blueprintSelect.value || null,
+      name: this.elements.blueprintNameInput.value.trim(),
+      order: this.elements.blueprintOrderSelect.value,
+      sections: Array.from(rows).map(row => {
+        const rule = row.querySelector('.blueprint-rule').value;
+        return {
+          count: parseInt(row.querySelector('.blueprint-count').value),
+          ruleType: rule === 'random' ? null : parseInt(rule),
+          difficulty: row.querySelector('.blueprint-difficulty').value,
+          timeLimit: parseInt(row.querySelector('.blueprint-time-limit').value) || 0
+        };
+      })
+    };
+  }
+
+  /**
+   * Save the blueprint being edited and select it
+   */
+  saveBlueprint() {
+    const blueprint = this.readBlueprintFromEditor();
+    const errors = BlueprintStore.validate(blueprint);
+    if (errors.length > 0) {
+      showNotification(errors[0], 'error', 3000);
+      return;
+    }
+
+    const saved = BlueprintStore.save(blueprint);
+    this.populateBlueprintOptions();
+    this.elements.blueprintSelect.value = saved.id;
+    this.updateBlueprintSummary(saved);
+    showNotification('تم حفظ المخطط', 'success', 2000);
+  }
+
+  /**
+   * Delete the selected blueprint
+   */
+  deleteBlueprint() {
+    const id = this.elements.blueprintSelect.value;
+    if (!id) {
+      showNotification('اختر مخططاً لحذفه', 'error', 3000);
+      return;
+    }
+
+    BlueprintStore.remove(id);
+    this.populateBlueprintOptions();
+    this.elements.blueprintSelect.value = '';
+    this.loadBlueprintIntoEditor('');
+    showNotification('تم حذف المخطط', 'success', 2000);
+  }
+
+  /**
+   * Show the structure of the selected blueprint
+   * @param {Object|null} blueprint - Selected blueprint
+   */
+  updateBlueprintSummary(blueprint) {
+    const summaryEl = this.elements.blueprintSummary;
+    if (!summaryEl) return;
+
+    const count = blueprint ? BlueprintStore.getQuestionCount(blueprint) : 0;
+    const arText = blueprint ? `${count} سؤال: ${BlueprintStore.describe(blueprint, 'ar')}` : '';
+    const enText = blueprint ? `${count} questions: ${BlueprintStore.describe(blueprint, 'en')}` : '';
+    summaryEl.dataset.ar = arText;
+    summaryEl.dataset.en = enText;
+    summaryEl.textContent = document.documentElement.lang === 'en' ? enText : arText;
+  }
+
+  /**
+   * Show how many facts are due for review
+   */
+  updateDueFactsCount() {
+    if (!this.elements.dueFactsCountEl) return;
+
+    const dueCount = FactScheduler.getDueCount();
+    const arText = `الحقائق المستحقة للمراجعة: ${dueCount}`;
+    const enText = `Facts due for review: ${dueCount}`;
+    this.elements.dueFactsCountEl.dataset.ar = arText;
+    this.elements.dueFactsCountEl.dataset.en = enText;
+    this.elements.dueFactsCountEl.textContent = document.documentElement.lang === 'ar' ? arText : enText;
+  }
+
+  /**
+   * Hide the option count when answers are typed
+   */
+  toggleOptionCountGroup(answerMode) {
+    if (!this.elements.optionCountGroup) return;
+    this.elements.optionCountGroup.style.display = answerMode === 'typed' ? 'none' : 'block';
   }
 
   /**
@@ -199,7 +777,33 @@ export class MainController {
    * Start test with current settings
    */
   startTest() {
-    // Collect form data
+    const settings = this.collectSettings();
+    if (!this.validateSettings(settings)) return;
+
+    // Save settings (the seed, training mode, question set and blueprint copy only apply to the session being started;
+    // a preset keeps the student's own settings for when it is deselected)
+    const { seed, trainingMode, questionSet, blueprint, ...ownSettings } = settings;
+    const persistentSettings = settings.presetId
+      ? { presetId: settings.presetId, soundEnabled: settings.soundEnabled, maxViolations: settings.maxViolations }
+      : ownSettings;
+    this.settings = { ...this.settings, ...persistentSettings };
+    Storage.save('appSettings', this.settings);
+    // An entered seed is handed to the first session only, so starting again gives new questions
+    Storage.save(`${this.currentTestType}Settings`, { ...settings, seed: null });
+    setNextSessionSeed(seed);
+
+    // Hide modal
+    this.hideSettingsModal();
+
+    // Navigate to appropriate page
+    window.location.href = `assets/html/${TEST_PAGES[this.currentTestType]}`;
+  }
+
+  /**
+   * Collect settings from the settings form
+   * @returns {Object} Settings
+   */
+  collectSettings() {
     const formData = new FormData(this.elements.settingsForm);
     const settings = {
       questionCount: parseInt(formData.get('questionCount')),
@@ -207,31 +811,216 @@ export class MainController {
       timerDuration: parseInt(formData.get('timerDuration')),
       soundEnabled: formData.has('soundEnabled'),
       difficulty: (formData.get('difficulty') || 'medium').toLowerCase(),
-      multiplicationRule: (formData.get('multiplicationRule') || 'random')
+      multiplicationRule: (formData.get('multiplicationRule') || 'random'),
+      operations: formData.getAll('operations'),
+      answerMode: formData.get('answerMode') || 'choice',
+      optionCount: parseInt(formData.get('optionCount')) || 4,
+      scoringPolicy: formData.get('scoringPolicy') || DEFAULT_SCORING_POLICY,
+      factorSelection: {
+        mode: formData.get('factorMode') || 'rules',
+        tables: formData.getAll('tables').map(Number),
+        factorA: { min: parseInt(formData.get('factorAMin')), max: parseInt(formData.get('factorAMax')) },
+        factorB: { min: parseInt(formData.get('factorBMin')), max: parseInt(formData.get('factorBMax')) }
+      },
+      seed: parseSeed(formData.get('seed')),
+      questionSet: this.questionSet
     };
 
-    // Validate settings
+    if (this.currentTestType === 'training') {
+      settings.trainingMode = formData.get('trainingMode') || 'standard';
+      settings.adaptiveDifficulty = formData.has('adaptiveDifficulty');
+      settings.masterMistakes = formData.has('masterMistakes');
+    } else if (this.currentTestType === 'sprint') {
+      settings.sprintDuration = parseInt(formData.get('sprintDuration')) || DEFAULT_SPRINT_DURATION;
+    } else {
+      // The exam keeps its own copy so later edits to the blueprint do not change it
+      settings.maxViolations = parseInt(formData.get('maxViolations')) || 0;
+      settings.allowSkip = formData.has('allowSkip');
+      settings.lockOnAnswer = formData.has('lockOnAnswer');
+      settings.blueprintId = formData.get('blueprintId') || null;
+      settings.blueprint = settings.blueprintId ? BlueprintStore.get(settings.blueprintId) : null;
+
+      // A preset's settings win over the (disabled) form fields
+      const presetSettings = getPresetSettings(formData.get('presetId'));
+      Object.assign(settings, presetSettings || { presetId: null });
+    }
+
+    return settings;
+  }
+
+  /**
+   * Validate collected settings, showing an error for the first problem found
+   * @param {Object} settings - Settings from collectSettings
+   * @returns {boolean} True if valid
+   */
+  validateSettings(settings) {
+    if (settings.sprintDuration !== undefined && !SPRINT_DURATIONS.includes(settings.sprintDuration)) {
+      showNotification(`مدة الجولة يجب أن تكون ${SPRINT_DURATIONS.join(' أو ')} ثانية`, 'error', 3000);
+      return false;
+    }
+
     if (settings.questionCount < 1 || settings.questionCount > 100) {
       showNotification('عدد الأسئلة يجب أن يكون بين 1 و 100', 'error', 3000);
-      return;
+      return false;
     }
 
     if (settings.timerDuration < 5 || settings.timerDuration > 300) {
       showNotification('مدة المؤقت يجب أن تكون بين 5 و 300 ثانية', 'error', 3000);
+      return false;
+    }
+
+    if (settings.optionCount < MIN_OPTION_COUNT || settings.optionCount > MAX_OPTION_COUNT) {
+      showNotification(`عدد الخيارات يجب أن يكون بين ${MIN_OPTION_COUNT} و ${MAX_OPTION_COUNT}`, 'error', 3000);
+      return false;
+    }
+
+    if (settings.operations.length === 0) {
+      showNotification('اختر عملية حسابية واحدة على الأقل', 'error', 3000);
+      return false;
+    }
+
+    const { factorSelection } = settings;
+    if (factorSelection.mode === 'tables' && factorSelection.tables.length === 0) {
+      showNotification('اختر جدولاً واحداً على الأقل', 'error', 3000);
+      return false;
+    }
+
+    if (factorSelection.mode !== 'rules') {
+      const ranges = factorSelection.mode === 'range' ? [factorSelection.factorA, factorSelection.factorB] : [factorSelection.factorB];
+      const isValidRange = ({ min, max }) => Number.isInteger(min) && Number.isInteger(max) &&
+        min >= 0 && max <= MAX_CUSTOM_FACTOR && min <= max;
+      if (!ranges.every(isValidRange)) {
+        showNotification(`نطاق العوامل يجب أن يكون بين 0 و ${MAX_CUSTOM_FACTOR} والحد الأدنى لا يتجاوز الأعلى`, 'error', 3000);
+        return false;
+      }
+    }
+
+    if (settings.maxViolations < 0 || settings.maxViolations > 20) {
+      showNotification('عدد مرات المغادرة المسموح بها يجب أن يكون بين 0 و 20', 'error', 3000);
+      return false;
+    }
+
+    if (settings.blueprintId) {
+      const errors = settings.blueprint ? BlueprintStore.validate(settings.blueprint) : ['المخطط المختار غير موجود'];
+      if (errors.length > 0) {
+        showNotification(errors[0], 'error', 3000);
+        return false;
+      }
+    }
+
+    const rawSeed = (this.elements.seedInput?.value || '').trim();
+    if (rawSeed && settings.seed === null) {
+      showNotification('رمز المجموعة يجب أن يكون عدداً صحيحاً موجباً', 'error', 3000);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Load a question set file chosen in the settings modal
+   * @param {File} file - Selected file
+   */
+  async loadQuestionSetFile(file) {
+    if (!file) return;
+
+    let result;
+    try {
+      result = questionGenerator.importQuestions(await file.text());
+    } catch (error) {
+      console.error('Error importing question set:', error);
+      this.clearQuestionSet();
+      showNotification(`ملف مجموعة الأسئلة غير صالح: ${error.message}`, 'error', 4000);
       return;
     }
 
-    // Save settings
-    this.settings = { ...this.settings, ...settings };
-    Storage.save('appSettings', this.settings);
-    Storage.save(`${this.currentTestType}Settings`, settings);
+    if (result.questions.length === 0) {
+      this.clearQuestionSet();
+      this.renderQuestionSetErrors(result.rejected);
+      showNotification('لا يحتوي الملف على أسئلة صالحة', 'error', 3000);
+      return;
+    }
 
-    // Hide modal
-    this.hideSettingsModal();
+    const { rejected, ...questionSet } = result;
+    this.questionSet = questionSet;
+    this.renderQuestionSetInfo();
+    this.renderQuestionSetErrors(rejected);
 
-    // Navigate to appropriate page
-    const page = this.currentTestType === 'training' ? 'training.html' : 'exam.html';
-    window.location.href = page.startsWith('assets/html/') ? page : `assets/html/${page}`;
+    if (rejected.length > 0) {
+      showNotification(`تم رفض ${rejected.length} من الأسئلة غير الصالحة`, 'warning', 4000);
+    } else {
+      showNotification('تم تحميل مجموعة الأسئلة بنجاح', 'success', 3000);
+    }
+  }
+
+  /**
+   * Show the title, author and size of the loaded question set
+   */
+  renderQuestionSetInfo() {
+    if (!this.elements.questionSetInfo) return;
+
+    const { title, author, questions } = this.questionSet;
+    const arText = `${title || 'بدون عنوان'}${author ? ` - ${author}` : ''} (${questions.length} سؤال)`;
+    const enText = `${title || 'Untitled'}${author ? ` - ${author}` : ''} (${questions.length} questions)`;
+    this.elements.questionSetSummary.dataset.ar = arText;
+    this.elements.questionSetSummary.dataset.en = enText;
+    this.elements.questionSetSummary.textContent = document.documentElement.lang === 'ar' ? arText : enText;
+    this.elements.questionSetInfo.style.display = 'flex';
+  }
+
+  /**
+   * List the items of a question set file that were rejected
+   * @param {Array} rejected - [{ index, errors }]
+   */
+  renderQuestionSetErrors(rejected = []) {
+    if (!this.elements.questionSetErrors) return;
+
+    const currentLang = document.documentElement.lang;
+    this.elements.questionSetErrors.innerHTML = rejected.map(({ index, errors }) => {
+      const arText = `السؤال ${index + 1}: ${errors.join('، ')}`;
+      const enText = `Question ${index + 1}: ${errors.join(', ')}`;
+      return `<li data-ar="${arText}" data-en="${enText}">${currentLang === 'ar' ? arText : enText}</li>`;
+    }).join('');
+  }
+
+  /**
+   * Forget the loaded question set
+   */
+  clearQuestionSet() {
+    this.questionSet = null;
+    if (this.elements.questionSetFileInput) this.elements.questionSetFileInput.value = '';
+    if (this.elements.questionSetInfo) this.elements.questionSetInfo.style.display = 'none';
+    this.renderQuestionSetErrors([]);
+  }
+
+  /**
+   * Generate a question set from the current settings and save it as a file
+   */
+  exportQuestionSet() {
+    const settings = this.collectSettings();
+    if (!this.validateSettings(settings)) return;
+
+    const questions = questionGenerator.generateQuestions(settings.questionCount, {
+      difficulty: settings.difficulty,
+      avoidDuplicates: true,
+      ruleType: settings.multiplicationRule === 'random' ? null : parseInt(settings.multiplicationRule),
+      ...getFactorOptions(settings.factorSelection),
+      operations: settings.operations,
+      answerMode: settings.answerMode,
+      optionCount: settings.optionCount,
+      seed: settings.seed || generateSeed()
+    });
+
+    const title = this.elements.questionSetTitleInput?.value.trim() || '';
+    const author = this.elements.questionSetAuthorInput?.value.trim() || '';
+    const questionSet = questionGenerator.exportQuestions(questions, { title, author });
+    const timestamp = new Date().toISOString().split('T')[0];
+
+    if (exportToJSON(questionSet, `question_set_${timestamp}`)) {
+      showNotification('تم حفظ مجموعة الأسئلة بنجاح', 'success', 3000);
+    } else {
+      showNotification('فشل في حفظ مجموعة الأسئلة', 'error', 3000);
+    }
   }
 
   /**
@@ -336,6 +1125,7 @@ export class MainController {
     const path = window.location.pathname;
     if (path.includes('training.html')) return 'training';
     if (path.includes('exam.html')) return 'exam';
+    if (path.includes('sprint.html')) return 'sprint';
     if (path.includes('results.html')) return 'results';
     if (path.includes('leaderboard.html')) return 'leaderboard';
     return 'index'; // Default to index page
@@ -348,10 +1138,13 @@ export class MainController {
     // Load all sessions to calculate accurate stats
     const trainingSessions = Storage.load('trainingSessions', []);
     const examSessions = Storage.load('examSessions', []);
-    const allSessions = [...trainingSessions, ...examSessions];
+    const sprintSessions = Storage.load('sprintSessions', []);
+    const allSessions = [...trainingSessions, ...examSessions, ...sprintSessions];
     
+    // Sprints are measured by throughput, so only training and exam percentages are averaged
+    const scoredSessions = [...trainingSessions, ...examSessions];
     const totalQuestions = allSessions.reduce((sum, session) => sum + session.totalQuestions, 0);
-    const averageScore = allSessions.length > 0 ? Math.round(allSessions.reduce((sum, s) => sum + (s.score || 0), 0) / allSessions.length) : 0;
+    const averageScore = scoredSessions.length > 0 ? Math.round(scoredSessions.reduce((sum, s) => sum + (s.score || 0), 0) / scoredSessions.length) : 0;
     const totalTime = allSessions.reduce((sum, session) => sum + session.totalTime, 0);
     
     const stats = {
@@ -0,0 +1,347 @@
+// SuperMind Trainer - Mental Math Rule Catalog
+
+import { randomInt } from './utils.js';
+
+const ALL_DIFFICULTIES = ['easy', 'medium', 'hard', 'extreme'];
+
+/**
+ * Normalize a difficulty key ('normal' is an alias of 'medium')
+ * @param {string} difficulty - Difficulty level
+ * @returns {string} Normalized difficulty
+ */
+function normalizeDifficulty(difficulty) {
+  const key = (difficulty || 'medium').toLowerCase();
+  return key === 'normal' ? 'medium' : key;
+}
+
+/**
+ * Pick a random number in range matching a predicate
+ * @param {Object} range - { min, max }
+ * @param {Function} predicate - Candidate filter
+ * @param {Function} rng - Random source
+ * @returns {number} Matching number, or a plain random number if none match
+ */
+function randomMatching(range, predicate, rng) {
+  const candidates = [];
+  for (let n = range.min; n <= range.max; n++) {
+    if (predicate(n)) candidates.push(n);
+  }
+  if (candidates.length === 0) {
+    return randomInt(range.min, range.max, rng);
+  }
+  return candidates[randomInt(0, candidates.length - 1, rng)];
+}
+
+/**
+ * Build one localized technique step (shared with the hints and worked solutions)
+ * @param {string} ar - Arabic text
+ * @param {string} en - English text
+ * @returns {{ar: string, en: string}} Step
+ */
+export function step(ar, en) {
+  return { ar, en };
+}
+
+/**
+ * Steps for multiplying by splitting n into tens and ones
+ * @param {number} n - Number to split
+ * @param {number} m - Other factor
+ * @returns {Array} Steps
+ */
+function explainSplit(n, m) {
+  const ones = n % 10;
+  const tens = n - ones;
+  return [
+    step(`افصل ${n} إلى ${tens} + ${ones}`, `Split ${n} into ${tens} + ${ones}`),
+    step(`اضرب كل جزء في ${m}: ${tens} × ${m} = ${tens * m} و ${ones} × ${m} = ${ones * m}`, `Multiply each part by ${m}: ${tens} × ${m} = ${tens * m} and ${ones} × ${m} = ${ones * m}`),
+    step(`اجمع الناتجين: ${tens * m} + ${ones * m}`, `Add the two results: ${tens * m} + ${ones * m}`)
+  ];
+}
+
+/**
+ * Rule registry
+ * Each rule has an id, a localized name, a factor generator `generate(range, rng)`
+ * returning [a, b], and the difficulties it is eligible for. A rule may also have
+ * `explain(a, b)` returning the steps of its technique ({ ar, en } each), leading up
+ * to the answer without stating it.
+ */
+export const RuleRegistry = {
+  rules: new Map(),
+
+  /**
+   * Register a rule (replaces any rule with the same id)
+   * @param {Object} rule - { id, name: { ar, en }, generate, difficulties, explain }
+   */
+  register(rule) {
+    if (!Number.isInteger(rule.id) || typeof rule.generate !== 'function') {
+      throw new Error('Invalid rule: expected an integer id and a generate function');
+    }
+    this.rules.set(rule.id, {
+      difficulties: ALL_DIFFICULTIES,
+      ...rule
+    });
+  },
+
+  /**
+   * Get a rule by id
+   * @param {number} id - Rule id
+   * @returns {Object|null} Rule or null
+   */
+  get(id) {
+    return this.rules.get(id) || null;
+  },
+
+  /**
+   * Get all rules ordered by id
+   * @returns {Array} Rules
+   */
+  getAll() {
+    return [...this.rules.values()].sort((a, b) => a.id - b.id);
+  },
+
+  /**
+   * Check if a rule can be used at a difficulty
+   * @param {Object} rule - Rule
+   * @param {string} difficulty - Difficulty level
+   * @returns {boolean} True if eligible
+   */
+  isEligible(rule, difficulty) {
+    return Boolean(rule) && rule.difficulties.includes(normalizeDifficulty(difficulty));
+  },
+
+  /**
+   * Get the rules eligible for a difficulty
+   * @param {string} difficulty - Difficulty level
+   * @returns {Array} Rules
+   */
+  getForDifficulty(difficulty) {
+    return this.getAll().filter(rule => this.isEligible(rule, difficulty));
+  },
+
+  /**
+   * Get a rule's name in a language
+   * @param {Object} rule - Rule
+   * @param {string} lang - 'ar' or 'en'
+   * @returns {string} Localized name
+   */
+  getName(rule, lang = 'ar') {
+    return rule.name[lang] || rule.name.ar;
+  }
+};
+
+// Built-in rules
+
+/** Rule 1: Single number multiplied by 11 */
+RuleRegistry.register({
+  id: 1,
+  name: { ar: 'عدد × 11', en: 'Number × 11' },
+  difficulties: ['easy', 'medium', 'hard'],
+  generate(range, rng) {
+    return [randomInt(range.min, range.max, rng), 11];
+  },
+  explain(a, b) {
+    const n = b === 11 ? a : b;
+    if (n < 10 || n > 99) {
+      return [
+        step(`اضرب في 10: ${n} × 10 = ${n * 10}`, `Multiply by 10: ${n} × 10 = ${n * 10}`),
+        step(`أضف العدد نفسه: ${n * 10} + ${n}`, `Add the number itself: ${n * 10} + ${n}`)
+      ];
+    }
+    const tens = Math.floor(n / 10);
+    const ones = n % 10;
+    const sum = tens + ones;
+    return [
+      step(`افصل رقمي ${n}: ${tens} و ${ones}`, `Split the digits of ${n}: ${tens} and ${ones}`),
+      step(`اجمعهما: ${tens} + ${ones} = ${sum}`, `Add them: ${tens} + ${ones} = ${sum}`),
+      sum < 10
+        ? step(`ضع ${sum} في المنتصف بين ${tens} و ${ones}`, `Place ${sum} in the middle, between ${tens} and ${ones}`)
+        : step(`المجموع أكبر من 9: ضع ${sum % 10} في المنتصف وأضف 1 إلى ${tens}`, `The sum is more than 9: place ${sum % 10} in the middle and carry 1 to ${tens}`)
+    ];
+  }
+});
+
+/** Rule 2: Two numbers where at least one has digit 1 in tens or ones place */
+RuleRegistry.register({
+  id: 2,
+  name: { ar: 'يحتوي على الرقم 1', en: 'Contains digit 1' },
+  difficulties: ['easy', 'medium', 'hard'],
+  generate(range, rng) {
+    const hasDigit1InTensOrOnes = (n) => {
+      const abs = Math.abs(n);
+      const ones = abs % 10;
+      const tens = Math.floor(abs / 10) % 10;
+      return ones === 1 || tens === 1;
+    };
+
+    let a = randomInt(range.min, range.max, rng);
+    let b = randomInt(range.min, range.max, rng);
+    if (!hasDigit1InTensOrOnes(a) && !hasDigit1InTensOrOnes(b)) {
+      // Force one of them to satisfy the condition
+      if (rng() < 0.5) {
+        a = randomMatching(range, hasDigit1InTensOrOnes, rng);
+      } else {
+        b = randomMatching(range, hasDigit1InTensOrOnes, rng);
+      }
+    }
+    return [a, b];
+  },
+  explain(a, b) {
+    // Split the number with the 1: one of its parts is then trivial to multiply
+    const hasOne = (n) => n % 10 === 1 || Math.floor(n / 10) % 10 === 1;
+    const [n, m] = hasOne(a) || !hasOne(b) ? [a, b] : [b, a];
+    const ones = n % 10;
+    const tens = n - ones;
+    if (tens === 0 || ones === 0) {
+      return [step(`اضرب ${n} × ${m} مباشرة (أحد الجزأين 1 أو 10)`, `Multiply ${n} × ${m} directly (one part is 1 or 10)`)];
+    }
+    return explainSplit(n, m);
+  }
+});
+
+/** Rule 3: Number × 5 (halve then × 10) */
+RuleRegistry.register({
+  id: 3,
+  name: { ar: 'عدد × 5', en: 'Number × 5' },
+  difficulties: ['easy', 'medium', 'hard'],
+  generate(range, rng) {
+    return [randomInt(range.min, range.max, rng), 5];
+  },
+  explain(a, b) {
+    const n = b === 5 ? a : b;
+    return [
+      step(`خذ نصف ${n}: ${n} ÷ 2 = ${n / 2}`, `Halve ${n}: ${n} ÷ 2 = ${n / 2}`),
+      step(`اضرب النصف في 10: ${n / 2} × 10`, `Multiply the half by 10: ${n / 2} × 10`)
+    ];
+  }
+});
+
+/** Rule 4: Two completely random numbers within difficulty range */
+RuleRegistry.register({
+  id: 4,
+  name: { ar: 'عشوائي ضمن النطاق', en: 'Fully random in range' },
+  difficulties: ALL_DIFFICULTIES,
+  generate(range, rng) {
+    return [randomInt(range.min, range.max, rng), randomInt(range.min, range.max, rng)];
+  },
+  explain(a, b) {
+    // No shortcut: count up for single digits, otherwise split the larger number into tens and ones
+    const [n, m] = a >= b ? [a, b] : [b, a];
+    if (n < 10) {
+      const multiples = Array.from({ length: Math.max(1, m - 1) }, (_, i) => n * (i + 1));
+      return [step(`عُدّ بمضاعفات ${n}: ${multiples.join('، ')}، …`, `Count up in ${n}s: ${multiples.join(', ')}, …`)];
+    }
+    if (n % 10 === 0) {
+      const tens = n / 10;
+      return [
+        step(`اضرب ${tens} × ${m} = ${tens * m}`, `Multiply ${tens} × ${m} = ${tens * m}`),
+        step(`أضف صفراً لأن ${n} = ${tens} × 10`, `Add a zero because ${n} = ${tens} × 10`)
+      ];
+    }
+    return explainSplit(n, m);
+  }
+});
+
+/** Rule 5: Number × 25 (divide by 4 then × 100) */
+RuleRegistry.register({
+  id: 5,
+  name: { ar: 'عدد × 25', en: 'Number × 25' },
+  difficulties: ['easy', 'medium', 'hard'],
+  generate(range, rng) {
+    return [randomInt(range.min, range.max, rng), 25];
+  },
+  explain(a, b) {
+    const n = b === 25 ? a : b;
+    return [
+      step(`خذ ربع ${n}: ${n} ÷ 4 = ${n / 4}`, `Take a quarter of ${n}: ${n} ÷ 4 = ${n / 4}`),
+      step(`اضرب الربع في 100: ${n / 4} × 100`, `Multiply the quarter by 100: ${n / 4} × 100`)
+    ];
+  }
+});
+
+/** Rule 6: Number × 9 or × 99 (× 10 or × 100, then subtract the number) */
+RuleRegistry.register({
+  id: 6,
+  name: { ar: 'عدد × 9 أو × 99', en: 'Number × 9 or × 99' },
+  difficulties: ['easy', 'medium', 'hard'],
+  generate(range, rng) {
+    const multiplier = rng() < 0.5 ? 9 : 99;
+    return [randomInt(range.min, range.max, rng), multiplier];
+  },
+  explain(a, b) {
+    const [n, multiplier] = b === 9 || b === 99 ? [a, b] : [b, a];
+    const base = multiplier + 1;
+    return [
+      step(`اضرب في ${base} بدلاً من ${multiplier}: ${n} × ${base} = ${n * base}`, `Multiply by ${base} instead of ${multiplier}: ${n} × ${base} = ${n * base}`),
+      step(`اطرح العدد نفسه مرة واحدة: ${n * base} − ${n}`, `Subtract the number once: ${n * base} − ${n}`)
+    ];
+  }
+});
+
+/** Rule 7: Squaring a number that ends in 5 */
+RuleRegistry.register({
+  id: 7,
+  name: { ar: 'تربيع عدد آحاده 5', en: 'Square of a number ending in 5' },
+  difficulties: ['easy', 'medium', 'hard'],
+  generate(range, rng) {
+    const n = randomMatching({ min: Math.max(15, range.min), max: Math.max(25, range.max) }, (x) => x % 10 === 5, rng);
+    return [n, n];
+  },
+  explain(a) {
+    const tens = Math.floor(a / 10);
+    return [
+      step(`خذ ما قبل الرقم 5 (${tens}) واضربه في العدد التالي له: ${tens} × ${tens + 1} = ${tens * (tens + 1)}`, `Take the part before the 5 (${tens}) and multiply it by the next number: ${tens} × ${tens + 1} = ${tens * (tens + 1)}`),
+      step(`اكتب 25 بعد ${tens * (tens + 1)}`, `Write 25 after ${tens * (tens + 1)}`)
+    ];
+  }
+});
+
+/** Rule 8: Two numbers close to 100 */
+RuleRegistry.register({
+  id: 8,
+  name: { ar: 'عددان قريبان من 100', en: 'Numbers near 100' },
+  difficulties: ['medium', 'hard'],
+  generate(range, rng) {
+    const near100 = { min: 88, max: 112 };
+    const notHundred = (x) => x !== 100;
+    return [randomMatching(near100, notHundred, rng), randomMatching(near100, notHundred, rng)];
+  },
+  explain(a, b) {
+    const signed = (n) => (n < 0 ? `(${n})` : `${n}`);
+    const da = a - 100;
+    const db = b - 100;
+    const cross = a + db;
+    return [
+      step(`بُعد كل عدد عن 100: ${signed(da)} و ${signed(db)}`, `How far each number is from 100: ${signed(da)} and ${signed(db)}`),
+      step(`أضف بُعد الثاني إلى الأول: ${a} + ${signed(db)} = ${cross}، ثم اضرب في 100: ${cross * 100}`, `Add the second distance to the first number: ${a} + ${signed(db)} = ${cross}, then multiply by 100: ${cross * 100}`),
+      step(`اضرب البُعدين: ${signed(da)} × ${signed(db)} = ${da * db}`, `Multiply the distances: ${signed(da)} × ${signed(db)} = ${da * db}`),
+      step(`اجمع: ${cross * 100} + ${signed(da * db)}`, `Add: ${cross * 100} + ${signed(da * db)}`)
+    ];
+  }
+});
+
+/** Rule 9: Same tens digit, ones digits adding up to 10 */
+RuleRegistry.register({
+  id: 9,
+  name: { ar: 'نفس العشرات والآحاد مجموعها 10', en: 'Same tens, ones add to 10' },
+  difficulties: ['easy', 'medium', 'hard'],
+  generate(range, rng) {
+    const minTens = Math.max(1, Math.floor(range.min / 10));
+    const maxTens = Math.max(minTens, Math.min(9, Math.floor(range.max / 10)));
+    const tens = randomInt(minTens, maxTens, rng);
+    const ones = randomInt(1, 9, rng);
+    return [tens * 10 + ones, tens * 10 + (10 - ones)];
+  },
+  explain(a, b) {
+    const tens = Math.floor(a / 10);
+    const onesA = a % 10;
+    const onesB = b % 10;
+    const front = tens * (tens + 1);
+    const back = String(onesA * onesB).padStart(2, '0');
+    return [
+      step(`العشرات متساوية (${tens}) والآحاد مجموعها ${onesA} + ${onesB} = 10`, `The tens match (${tens}) and the ones add up to ${onesA} + ${onesB} = 10`),
+      step(`اضرب ${tens} في العدد التالي له: ${tens} × ${tens + 1} = ${front}`, `Multiply ${tens} by the next number: ${tens} × ${tens + 1} = ${front}`),
+      step(`اضرب الآحاد: ${onesA} × ${onesB} = ${back}`, `Multiply the ones: ${onesA} × ${onesB} = ${back}`),
+      step(`اكتب ${back} بعد ${front}`, `Write ${back} after ${front}`)
+    ];
+  }
+});
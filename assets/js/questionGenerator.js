@@ -1,19 +1,148 @@
 // SuperMind Trainer - Question Generator
 
-import { randomInt, shuffleArray } from './utils.js';
+import { randomInt, shuffleArray, createSeededRandom } from './utils.js';
+import { RuleRegistry } from './multiplicationRules.js';
+
+/**
+ * Supported operations
+ * Each question stores its operation key in `operator`; questions without one are multiplication.
+ */
+export const OPERATIONS = {
+  multiply: { symbol: '×', compute: (a, b) => a * b },
+  add: { symbol: '+', compute: (a, b) => a + b },
+  subtract: { symbol: '−', compute: (a, b) => a - b },
+  divide: { symbol: '÷', compute: (a, b) => a / b },
+  // Squares are stored as factorA × factorA so duplicate checks and distractors keep working
+  square: { symbol: '²', compute: (a) => a * a }
+};
+
+/** Allowed number of answer options per multiple choice question */
+export const MIN_OPTION_COUNT = 2;
+export const MAX_OPTION_COUNT = 6;
+export const DEFAULT_OPTION_COUNT = 4;
+
+// Difficulty levels from easiest to hardest (each maps to a factor range and rule set)
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'extreme'];
+
+export const DIFFICULTY_NAMES = {
+  easy: { ar: 'سهل', en: 'Easy' },
+  medium: { ar: 'متوسط', en: 'Medium' },
+  hard: { ar: 'صعب', en: 'Hard' },
+  extreme: { ar: 'متطرف', en: 'Extreme' }
+};
+
+// Question set files
+export const QUESTION_SET_FORMAT = 'supermind-question-set';
+export const QUESTION_SET_VERSION = 1;
+
+// Custom factor selection ('rules' keeps the difficulty/pattern based generation)
+export const FACTOR_MODES = ['rules', 'tables', 'range'];
+export const MAX_CUSTOM_FACTOR = 1000;
+export const DEFAULT_FACTOR_SELECTION = {
+  mode: 'rules',
+  tables: [],
+  factorA: { min: 2, max: 12 },
+  factorB: { min: 1, max: 12 }
+};
+
+/**
+ * Turn a factor selection from the settings into generation options
+ * @param {Object} factorSelection - { mode, tables, factorA: { min, max }, factorB: { min, max } }
+ * @returns {Object} { useMultiplicationRules, tables, factorARange, factorBRange }
+ */
+export function getFactorOptions(factorSelection) {
+  const selection = { ...DEFAULT_FACTOR_SELECTION, ...(factorSelection || {}) };
+  if (selection.mode === 'tables' && selection.tables.length > 0) {
+    return {
+      useMultiplicationRules: false,
+      tables: selection.tables,
+      factorARange: [Math.min(...selection.tables), Math.max(...selection.tables)],
+      factorBRange: [selection.factorB.min, selection.factorB.max]
+    };
+  }
+  if (selection.mode === 'range') {
+    return {
+      useMultiplicationRules: false,
+      tables: [],
+      factorARange: [selection.factorA.min, selection.factorA.max],
+      factorBRange: [selection.factorB.min, selection.factorB.max]
+    };
+  }
+  return { useMultiplicationRules: true, tables: [] };
+}
+
+/**
+ * Misconceptions represented by each distractor strategy
+ * Options and wrong answers are tagged with these keys so mistakes can be summarized.
+ */
+export const DISTRACTOR_STRATEGIES = {
+  off_by_one: { ar: 'خطأ بفارق 1', en: 'Off by one' },
+  swap_digits: { ar: 'تبديل الأرقام', en: 'Digit swaps' },
+  factor_variation: { ar: 'استخدام عامل مجاور', en: 'Neighbouring factor used' },
+  simple_math: { ar: 'خطأ بفارق 5 أو 10', en: 'Off by 5 or 10' },
+  complex_math: { ar: 'إضافة أو طرح أحد العاملين', en: 'A factor added or subtracted' },
+  random_close: { ar: 'تقدير قريب', en: 'Close estimate' },
+  random: { ar: 'تخمين عشوائي', en: 'Random guess' }
+};
+
+/**
+ * Compute the answer of an operation
+ * @param {string} operator - Operation key
+ * @param {number} factorA - First operand
+ * @param {number} factorB - Second operand
+ * @returns {number} Result
+ */
+export function computeAnswer(operator, factorA, factorB) {
+  const operation = OPERATIONS[operator] || OPERATIONS.multiply;
+  return operation.compute(factorA, factorB);
+}
+
+/**
+ * Get the display symbol for an operation
+ * @param {string} operator - Operation key
+ * @returns {string} Symbol
+ */
+export function getOperatorSymbol(operator) {
+  return (OPERATIONS[operator] || OPERATIONS.multiply).symbol;
+}
+
+/**
+ * Format a question as a math expression, e.g. "12 × 11" or "7²"
+ * @param {Object} question - Question with operator, factorA and factorB
+ * @returns {string} Expression
+ */
+export function formatExpression(question) {
+  if (question.operator === 'square') {
+    return `${question.factorA}²`;
+  }
+  return `${question.factorA} ${getOperatorSymbol(question.operator)} ${question.factorB}`;
+}
 
 /**
  * Question Generator Class
- * Generates multiplication questions with multiple choice answers
+ * Generates arithmetic questions with multiple choice answers
  */
 export class QuestionGenerator {
   constructor() {
     this.questionHistory = [];
+    // Index in questionHistory where duplicate checks start (moves on once a small pool is used up)
+    this.historyStart = 0;
     this.difficultyLevel = 'normal';
+    this.seed = null;
+    this.rng = Math.random;
+  }
+
+  /**
+   * Seed the generator so the same seed and settings reproduce the same questions
+   * @param {number|null} seed - Seed value; null restores Math.random
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.rng = seed === null || seed === undefined ? Math.random : createSeededRandom(seed);
   }
 
   /**
-   * Generate a new multiplication question
+   * Generate a new question
    * @param {Object} options - Generation options
    * @returns {Object} Question object
    */
@@ -23,21 +152,34 @@ export class QuestionGenerator {
       factorBRange = [0, 99],
       avoidDuplicates = true,
       difficulty = 'normal',
-      // Optional: choose a specific rule (1, 2, or 4); if omitted, a random rule will be used
+      // Optional: choose a specific rule id from RuleRegistry; if omitted, a random eligible rule will be used
       ruleType = null,
       // Optional: enable new multiplication rules (defaults to true). If false, fallback to range-based
-      useMultiplicationRules = true
+      useMultiplicationRules = true,
+      // Optional: specific tables for factor A when not using rules (e.g. [7, 8]); factor B comes from factorBRange
+      tables = [],
+      // Optional: operations to mix (keys of OPERATIONS); defaults to multiplication only
+      operations = ['multiply'],
+      // Optional: 'choice' for multiple choice, 'typed' for free-response questions without options
+      answerMode = 'choice',
+      // Optional: number of multiple choice options (MIN_OPTION_COUNT..MAX_OPTION_COUNT)
+      optionCount = DEFAULT_OPTION_COUNT
     } = options;
 
     let question;
     let attempts = 0;
-    const maxAttempts = 50;
+    const maxAttempts = 100;
 
     do {
-      question = this.createQuestion({ factorARange, factorBRange, difficulty, ruleType, useMultiplicationRules });
+      question = this.createQuestion({ factorARange, factorBRange, tables, difficulty, ruleType, useMultiplicationRules, operations, answerMode, optionCount });
       attempts++;
     } while (avoidDuplicates && this.isDuplicate(question) && attempts < maxAttempts);
 
+    // Every fact of a small pool (e.g. only the 7s) has been asked: start a new round
+    if (avoidDuplicates && this.isDuplicate(question)) {
+      this.historyStart = this.questionHistory.length;
+    }
+
     this.questionHistory.push(question);
     return question;
   }
@@ -46,29 +188,39 @@ export class QuestionGenerator {
    * Create a single question
    * @param {Array} factorARange - Range for factor A [min, max]
    * @param {Array} factorBRange - Range for factor B [min, max]
+   * @param {Array} tables - Specific tables for factor A (custom selection only)
    * @param {string} difficulty - Difficulty level
+   * @param {Array} operations - Operations to pick from
+   * @param {string} answerMode - 'choice' or 'typed'
+   * @param {number} optionCount - Number of multiple choice options
    * @returns {Object} Question object
    */
-  createQuestion({ factorARange, factorBRange, difficulty, ruleType, useMultiplicationRules }) {
-    let factorA;
-    let factorB;
-
-    if (useMultiplicationRules) {
-      const [a, b] = this.generateFactorsByRules(ruleType, difficulty);
-      factorA = a;
-      factorB = b;
-    } else {
-      factorA = randomInt(factorARange[0], factorARange[1]);
-      factorB = randomInt(factorBRange[0], factorBRange[1]);
-    }
-    const correctAnswer = factorA * factorB;
+  createQuestion({ factorARange, factorBRange, tables = [], difficulty, ruleType, useMultiplicationRules, operations, answerMode = 'choice', optionCount = DEFAULT_OPTION_COUNT }) {
+    const operator = this.pickOperation(operations);
+    const { factorA, factorB, rule } = this.generateFactorsForOperation(operator, {
+      factorARange, factorBRange, tables, difficulty, ruleType, useMultiplicationRules
+    });
+    return this.buildQuestion({ operator, rule, factorA, factorB }, { difficulty, answerMode, optionCount });
+  }
+
+  /**
+   * Build a question around known factors
+   * @param {Object} fact - { operator, rule, factorA, factorB }
+   * @param {Object} options - { difficulty, answerMode, optionCount }
+   * @returns {Object} Question object
+   */
+  buildQuestion({ operator = 'multiply', rule = null, factorA, factorB }, { difficulty = 'medium', answerMode = 'choice', optionCount = DEFAULT_OPTION_COUNT } = {}) {
+    const correctAnswer = computeAnswer(operator, factorA, factorB);
 
     const question = {
       id: this.generateQuestionId(),
+      operator,
+      rule,
       factorA,
       factorB,
       correctAnswer,
-      options: this.generateAnswerOptions(correctAnswer, factorA, factorB, difficulty),
+      // Free-response questions are graded against correctAnswer and carry no options
+      options: answerMode === 'typed' ? [] : this.generateAnswerOptions(correctAnswer, factorA, factorB, difficulty, operator, optionCount),
       difficulty,
       timestamp: Date.now(),
       timeLimit: this.getTimeLimit(difficulty)
@@ -78,86 +230,102 @@ export class QuestionGenerator {
   }
 
   /**
-   * Generate factors using the specified rule or a random rule
-   * Rules:
-   * 1) n (10..100) × 11
-   * 2) a,b (10..100) where at least one has digit 1 in tens or ones place
-   * 4) a,b random in 10..100
-   * @param {number|null} ruleType - 1, 2, or 4; null for random
-   * @returns {[number, number]} factors [a, b]
+   * Pick the operation for the next question
+   * @param {Array} operations - Allowed operation keys
+   * @returns {string} Operation key
    */
-  generateFactorsByRules(ruleType = null, difficulty = 'medium') {
-    const range = this.getRangeForDifficulty(difficulty);
-    const validRules = [1, 2, 4];
-    // For extreme difficulty, force fully random rule 4 to satisfy "fully random with extremely hard" requirement
-    const selectedRule = (difficulty && difficulty.toLowerCase() === 'extreme')
-      ? 4
-      : (validRules.includes(ruleType) ? ruleType : validRules[randomInt(0, validRules.length - 1)]);
-    switch (selectedRule) {
-      case 1:
-        return this.generateRule1(range);
-      case 2:
-        return this.generateRule2(range);
-      case 4:
-      default:
-        return this.generateRule4(range);
-    }
-  }
-
-  /** Rule 1: Single number multiplied by 11 (range × 11) */
-  generateRule1(range) {
-    const a = randomInt(range.min, range.max);
-    const b = 11;
-    return [a, b];
+  pickOperation(operations) {
+    const valid = (operations || []).filter(op => OPERATIONS[op]);
+    if (valid.length === 0) return 'multiply';
+    if (valid.length === 1) return valid[0];
+    return valid[randomInt(0, valid.length - 1, this.rng)];
   }
 
   /**
-   * Rule 2: Two numbers (10..100) where at least one has digit 1 in tens or ones place
+   * Generate operands for an operation
+   * Multiplication and division use the multiplication rules; addition, subtraction and
+   * squares draw from the difficulty range (or the explicit factor ranges).
+   * @param {string} operator - Operation key
+   * @param {Object} options - Range and rule options from createQuestion
+   * @returns {{factorA: number, factorB: number, rule: number|null}} Operands and the rule id used
    */
-  generateRule2(range) {
-    const hasDigit1InTensOrOnes = (n) => {
-      const abs = Math.abs(n);
-      const ones = abs % 10;
-      const tens = Math.floor(abs / 10) % 10;
-      return ones === 1 || tens === 1;
+  generateFactorsForOperation(operator, { factorARange, factorBRange, tables = [], difficulty, ruleType, useMultiplicationRules }) {
+    const range = this.getRangeForDifficulty(difficulty);
+    const rangeA = useMultiplicationRules ? [range.min, range.max] : factorARange;
+    const rangeB = useMultiplicationRules ? [range.min, range.max] : factorBRange;
+    const useTables = !useMultiplicationRules && tables.length > 0;
+    const pickA = () => (useTables ? tables[randomInt(0, tables.length - 1, this.rng)] : randomInt(rangeA[0], rangeA[1], this.rng));
+    const pickB = () => randomInt(rangeB[0], rangeB[1], this.rng);
+    const multiplicationPair = () => {
+      if (!useMultiplicationRules) {
+        return { pair: [pickA(), pickB()], rule: null };
+      }
+      const rule = this.pickRule(ruleType, difficulty);
+      return { pair: rule.generate(range, this.rng), rule: rule.id };
     };
 
-    let a = randomInt(range.min, range.max);
-    let b = randomInt(range.min, range.max);
-    let guard = 0;
-    while (!hasDigit1InTensOrOnes(a) && !hasDigit1InTensOrOnes(b) && guard < 1000) {
-      // Force one of them to satisfy the condition
-      if (Math.random() < 0.5) {
-        a = this.randomNumberWithDigit1InTensOrOnes(range);
-      } else {
-        b = this.randomNumberWithDigit1InTensOrOnes(range);
+    switch (operator) {
+      case 'add':
+        return {
+          factorA: pickA(),
+          factorB: pickB(),
+          rule: null
+        };
+      case 'subtract': {
+        // Keep results non-negative
+        const a = pickA();
+        const b = pickB();
+        return { factorA: Math.max(a, b), factorB: Math.min(a, b), rule: null };
+      }
+      case 'divide': {
+        // Build the dividend from a product so the quotient is always whole
+        // (with specific tables, the table is the divisor: 56 ÷ 7)
+        const { pair, rule } = multiplicationPair();
+        const [quotient, divisor] = useTables ? [pair[1], pair[0]] : pair;
+        const safeDivisor = Math.max(1, divisor);
+        return { factorA: quotient * safeDivisor, factorB: safeDivisor, rule };
+      }
+      case 'square': {
+        const a = pickA();
+        return { factorA: a, factorB: a, rule: null };
+      }
+      case 'multiply':
+      default: {
+        const { pair: [a, b], rule } = multiplicationPair();
+        return { factorA: a, factorB: b, rule };
       }
-      guard++;
     }
-    return [a, b];
   }
 
-  /** Helper: random number in range with 1 in tens or ones place */
-  randomNumberWithDigit1InTensOrOnes(range) {
-    // Build list of candidates within range where ones==1 or tens==1
-    const candidates = [];
-    for (let n = range.min; n <= range.max; n++) {
-      const ones = n % 10;
-      const tens = Math.floor(n / 10) % 10;
-      if (ones === 1 || tens === 1) candidates.push(n);
+  /**
+   * Pick a multiplication rule from the registry
+   * A requested rule is used when it is eligible for the difficulty; otherwise a random eligible
+   * rule is chosen (extreme difficulty only allows the fully random rule 4).
+   * @param {number|null} ruleType - Rule id; null for random
+   * @param {string} difficulty - Difficulty level
+   * @returns {Object} Rule
+   */
+  pickRule(ruleType = null, difficulty = 'medium') {
+    const requested = RuleRegistry.get(ruleType);
+    if (RuleRegistry.isEligible(requested, difficulty)) {
+      return requested;
     }
-    // Guard: if no candidates found (shouldn't happen with current ranges), fallback to random in range
-    if (candidates.length === 0) {
-      return randomInt(range.min, range.max);
+    const eligible = RuleRegistry.getForDifficulty(difficulty);
+    if (eligible.length === 0) {
+      return RuleRegistry.get(4);
     }
-    return candidates[randomInt(0, candidates.length - 1)];
+    return eligible[randomInt(0, eligible.length - 1, this.rng)];
   }
 
-  /** Rule 4: Two completely random numbers within difficulty range */
-  generateRule4(range) {
-    const a = randomInt(range.min, range.max);
-    const b = randomInt(range.min, range.max);
-    return [a, b];
+  /**
+   * Generate factors using the specified rule or a random rule
+   * @param {number|null} ruleType - Rule id from RuleRegistry; null for random
+   * @param {string} difficulty - Difficulty level
+   * @returns {[number, number]} factors [a, b]
+   */
+  generateFactorsByRules(ruleType = null, difficulty = 'medium') {
+    const rule = this.pickRule(ruleType, difficulty);
+    return rule.generate(this.getRangeForDifficulty(difficulty), this.rng);
   }
 
   /** Map difficulty to factor ranges */
@@ -179,21 +347,26 @@ export class QuestionGenerator {
    * @param {number} factorA - First factor
    * @param {number} factorB - Second factor
    * @param {string} difficulty - Difficulty level
+   * @param {string} operator - Operation key
+   * @param {number} optionCount - Total number of options including the correct one
    * @returns {Array} Array of answer options
    */
-  generateAnswerOptions(correctAnswer, factorA, factorB, difficulty) {
-    const options = [correctAnswer];
-    const distractors = this.generateDistractors(correctAnswer, factorA, factorB, difficulty);
+  generateAnswerOptions(correctAnswer, factorA, factorB, difficulty, operator = 'multiply', optionCount = DEFAULT_OPTION_COUNT) {
+    const count = Math.min(MAX_OPTION_COUNT, Math.max(MIN_OPTION_COUNT, optionCount));
+    const options = [{ value: correctAnswer, strategy: null }];
+    const distractors = this.generateDistractors(correctAnswer, factorA, factorB, difficulty, operator, count - 1);
     
     options.push(...distractors);
     
     // Shuffle options and return with positions
-    const shuffledOptions = shuffleArray(options);
+    const shuffledOptions = shuffleArray(options, this.rng);
     
-    return shuffledOptions.map((value, index) => ({
+    return shuffledOptions.map(({ value, strategy }, index) => ({
       value,
       position: index + 1,
-      isCorrect: value === correctAnswer
+      isCorrect: value === correctAnswer,
+      // Misconception this option represents (null for the correct answer)
+      strategy
     }));
   }
 
@@ -203,18 +376,21 @@ export class QuestionGenerator {
    * @param {number} factorA - First factor
    * @param {number} factorB - Second factor
    * @param {string} difficulty - Difficulty level
-   * @returns {Array} Array of distractor values
+   * @param {string} operator - Operation key
+   * @param {number} count - Number of distractors
+   * @returns {Array} Array of distractors ({ value, strategy })
    */
-  generateDistractors(correctAnswer, factorA, factorB, difficulty) {
+  generateDistractors(correctAnswer, factorA, factorB, difficulty, operator = 'multiply', count = DEFAULT_OPTION_COUNT - 1) {
     const distractors = [];
     const strategies = this.getDistractorStrategies(difficulty);
+    const isTaken = (value) => distractors.some(d => d.value === value);
 
     // Use different strategies to generate distractors
     strategies.forEach(strategy => {
       try {
-        const distractor = this.applyDistractorStrategy(strategy, correctAnswer, factorA, factorB);
-        if (Number.isFinite(distractor) && distractor !== correctAnswer && !distractors.includes(distractor) && distractor >= 0) {
-          distractors.push(distractor);
+        const distractor = this.applyDistractorStrategy(strategy, correctAnswer, factorA, factorB, operator);
+        if (Number.isFinite(distractor) && distractor !== correctAnswer && !isTaken(distractor) && distractor >= 0) {
+          distractors.push({ value: distractor, strategy });
         }
       } catch (e) {
         // Skip faulty strategy without breaking generation
@@ -222,14 +398,14 @@ export class QuestionGenerator {
     });
 
     // Fill remaining slots with random values if needed
-    while (distractors.length < 3) {
+    while (distractors.length < count) {
       const randomDistractor = this.generateRandomDistractor(correctAnswer, difficulty);
-      if (!distractors.includes(randomDistractor) && randomDistractor !== correctAnswer) {
-        distractors.push(randomDistractor);
+      if (!isTaken(randomDistractor) && randomDistractor !== correctAnswer) {
+        distractors.push({ value: randomDistractor, strategy: 'random' });
       }
     }
 
-    return distractors.slice(0, 3);
+    return distractors.slice(0, count);
   }
 
   /**
@@ -257,9 +433,10 @@ export class QuestionGenerator {
    * @param {number} correctAnswer - The correct answer
    * @param {number} factorA - First factor
    * @param {number} factorB - Second factor
+   * @param {string} operator - Operation key
    * @returns {number} Generated distractor
    */
-  applyDistractorStrategy(strategy, correctAnswer, factorA, factorB) {
+  applyDistractorStrategy(strategy, correctAnswer, factorA, factorB, operator = 'multiply') {
     switch (strategy) {
       case 'off_by_one':
         return this.generateOffByOneDistractor(correctAnswer);
@@ -268,7 +445,7 @@ export class QuestionGenerator {
         return this.generateSwapDigitsDistractor(correctAnswer);
       
       case 'factor_variation':
-        return this.generateFactorVariationDistractor(factorA, factorB);
+        return this.generateFactorVariationDistractor(factorA, factorB, operator);
       
       case 'simple_math':
         return this.generateSimpleMathDistractor(correctAnswer);
@@ -291,7 +468,7 @@ export class QuestionGenerator {
    */
   generateOffByOneDistractor(correctAnswer) {
     const variations = [correctAnswer + 1, correctAnswer - 1];
-    return variations[randomInt(0, 1)];
+    return variations[randomInt(0, 1, this.rng)];
   }
 
   /**
@@ -302,10 +479,10 @@ export class QuestionGenerator {
   generateSwapDigitsDistractor(correctAnswer) {
     const digits = correctAnswer.toString().split('');
     if (digits.length < 2) {
-      return correctAnswer + randomInt(1, 9);
+      return correctAnswer + randomInt(1, 9, this.rng);
     }
     
-    const swapIndex = randomInt(0, digits.length - 2);
+    const swapIndex = randomInt(0, digits.length - 2, this.rng);
     [digits[swapIndex], digits[swapIndex + 1]] = [digits[swapIndex + 1], digits[swapIndex]];
     
     return parseInt(digits.join(''));
@@ -315,17 +492,19 @@ export class QuestionGenerator {
    * Generate factor variation distractor
    * @param {number} factorA - First factor
    * @param {number} factorB - Second factor
+   * @param {string} operator - Operation key
    * @returns {number} Distractor value
    */
-  generateFactorVariationDistractor(factorA, factorB) {
+  generateFactorVariationDistractor(factorA, factorB, operator = 'multiply') {
+    const compute = (a, b) => (operator === 'square' ? a * b : computeAnswer(operator, a, b));
     const variations = [
-      (factorA + 1) * factorB,
-      (factorA - 1) * factorB,
-      factorA * (factorB + 1),
-      factorA * (factorB - 1)
-    ].filter(val => val >= 0);
+      compute(factorA + 1, factorB),
+      compute(factorA - 1, factorB),
+      compute(factorA, factorB + 1),
+      compute(factorA, factorB - 1)
+    ].filter(val => Number.isInteger(val) && val >= 0);
     
-    return variations[randomInt(0, variations.length - 1)];
+    return variations[randomInt(0, variations.length - 1, this.rng)];
   }
 
   /**
@@ -341,7 +520,7 @@ export class QuestionGenerator {
       correctAnswer - 5
     ].filter(val => val >= 0);
     
-    return operations[randomInt(0, operations.length - 1)];
+    return operations[randomInt(0, operations.length - 1, this.rng)];
   }
 
   /**
@@ -361,7 +540,7 @@ export class QuestionGenerator {
       Math.floor(correctAnswer * 0.9)
     ].filter(val => val >= 0);
     
-    return variations[randomInt(0, variations.length - 1)];
+    return variations[randomInt(0, variations.length - 1, this.rng)];
   }
 
   /**
@@ -371,7 +550,7 @@ export class QuestionGenerator {
    */
   generateRandomCloseDistractor(correctAnswer) {
     const range = Math.max(1, Math.floor(correctAnswer * 0.2));
-    const offset = randomInt(-range, range);
+    const offset = randomInt(-range, range, this.rng);
     return Math.max(0, correctAnswer + offset);
   }
 
@@ -390,22 +569,54 @@ export class QuestionGenerator {
     };
     
     const range = ranges[difficulty] || ranges.normal;
-    const offset = randomInt(-range, range);
+    const offset = randomInt(-range, range, this.rng);
     return Math.max(0, correctAnswer + offset);
   }
 
+  /**
+   * Classify a wrong answer by the misconception it most likely reflects
+   * Used for typed answers, which have no tagged option.
+   * @param {Object} question - Question answered
+   * @param {number} value - Given answer
+   * @returns {string|null} Strategy key, or null if correct or unclassified
+   */
+  classifyAnswer(question, value) {
+    const { correctAnswer, factorA, factorB } = question;
+    const operator = question.operator || 'multiply';
+    if (value === null || value === undefined || value === correctAnswer) return null;
+
+    const diff = Math.abs(value - correctAnswer);
+    const sameDigits = (a, b) => String(a).split('').sort().join('') === String(b).split('').sort().join('');
+    const compute = (a, b) => (operator === 'square' ? a * b : computeAnswer(operator, a, b));
+    const neighbours = [
+      compute(factorA + 1, factorB),
+      compute(factorA - 1, factorB),
+      compute(factorA, factorB + 1),
+      compute(factorA, factorB - 1)
+    ];
+
+    if (diff === 1) return 'off_by_one';
+    if (sameDigits(value, correctAnswer)) return 'swap_digits';
+    if (neighbours.includes(value)) return 'factor_variation';
+    if (diff === 5 || diff === 10) return 'simple_math';
+    if (diff === factorA || diff === factorB) return 'complex_math';
+    if (diff <= Math.max(1, Math.floor(correctAnswer * 0.2))) return 'random_close';
+    return 'random';
+  }
+
   /**
    * Check if question is duplicate
    * @param {Object} question - Question to check
    * @returns {boolean} True if duplicate
    */
   isDuplicate(question) {
+    const operator = question.operator || 'multiply';
     const a1 = Math.min(question.factorA, question.factorB);
     const b1 = Math.max(question.factorA, question.factorB);
-    return this.questionHistory.some(q => {
+    return this.questionHistory.slice(this.historyStart).some(q => {
       const a2 = Math.min(q.factorA, q.factorB);
       const b2 = Math.max(q.factorA, q.factorB);
-      return a1 === a2 && b1 === b2;
+      return (q.operator || 'multiply') === operator && a1 === a2 && b1 === b2;
     });
   }
 
@@ -437,11 +648,18 @@ export class QuestionGenerator {
   /**
    * Generate multiple questions
    * @param {number} count - Number of questions to generate
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options (pass `seed` for a reproducible set)
    * @returns {Array} Array of questions
    */
   generateQuestions(count, options = {}) {
+    const { seed = null } = options;
     const questions = [];
+
+    // A seeded set must not depend on earlier sessions' duplicate history
+    if (seed !== null) {
+      this.clearHistory();
+    }
+    this.setSeed(seed);
     
     for (let i = 0; i < count; i++) {
       questions.push(this.generateQuestion(options));
@@ -450,11 +668,28 @@ export class QuestionGenerator {
     return questions;
   }
 
+  /**
+   * Generate questions for a fixed list of facts (e.g. facts due for review)
+   * @param {Array} facts - Facts ({ operator, factorA, factorB })
+   * @param {Object} options - Generation options (difficulty, answerMode, optionCount, seed)
+   * @returns {Array} Array of questions
+   */
+  generateQuestionsForFacts(facts, options = {}) {
+    this.setSeed(options.seed ?? null);
+
+    return facts.map(fact => {
+      const question = this.buildQuestion(fact, options);
+      this.questionHistory.push(question);
+      return question;
+    });
+  }
+
   /**
    * Clear question history
    */
   clearHistory() {
     this.questionHistory = [];
+    this.historyStart = 0;
   }
 
   /**
@@ -508,18 +743,28 @@ export class QuestionGenerator {
     if (typeof question.correctAnswer !== 'number' || question.correctAnswer < 0) {
       errors.push('Invalid correct answer');
     }
-    if (!Array.isArray(question.options) || question.options.length !== 4) {
-      errors.push('Invalid options array');
+    if (question.operator !== undefined && !OPERATIONS[question.operator]) {
+      errors.push('Invalid operator');
+    } else if (computeAnswer(question.operator, question.factorA, question.factorB) !== question.correctAnswer) {
+      errors.push('Correct answer does not match operation');
     }
-    
-    const correctOptions = question.options.filter(opt => opt.isCorrect);
-    if (correctOptions.length !== 1) {
-      errors.push('Must have exactly one correct option');
+    // An empty options array marks a free-response question
+    const options = Array.isArray(question.options) ? question.options : [];
+    if (!Array.isArray(question.options) ||
+        (options.length !== 0 && (options.length < MIN_OPTION_COUNT || options.length > MAX_OPTION_COUNT))) {
+      errors.push('Invalid options array');
     }
     
-    const correctOption = correctOptions[0];
-    if (correctOption && correctOption.value !== question.correctAnswer) {
-      errors.push('Correct option value does not match correct answer');
+    if (options.length > 0) {
+      const correctOptions = options.filter(opt => opt.isCorrect);
+      if (correctOptions.length !== 1) {
+        errors.push('Must have exactly one correct option');
+      }
+      
+      const correctOption = correctOptions[0];
+      if (correctOption && correctOption.value !== question.correctAnswer) {
+        errors.push('Correct option value does not match correct answer');
+      }
     }
     
     return {
@@ -529,40 +774,198 @@ export class QuestionGenerator {
   }
 
   /**
-   * Export questions to JSON
+   * Export questions as a versioned question set
+   * Options are stored as plain values in display order.
    * @param {Array} questions - Questions to export
-   * @returns {string} JSON string
+   * @param {Object} metadata - { title, author, description }
+   * @returns {Object} Question set, ready to be saved as JSON
    */
-  exportQuestions(questions) {
-    return JSON.stringify(questions, null, 2);
+  exportQuestions(questions, metadata = {}) {
+    return {
+      format: QUESTION_SET_FORMAT,
+      version: QUESTION_SET_VERSION,
+      title: metadata.title || '',
+      author: metadata.author || '',
+      description: metadata.description || '',
+      createdAt: new Date().toISOString(),
+      questions: questions.map(q => ({
+        operator: q.operator || 'multiply',
+        factorA: q.factorA,
+        factorB: q.factorB,
+        correctAnswer: q.correctAnswer,
+        difficulty: q.difficulty,
+        options: (q.options || []).map(option => option.value)
+      }))
+    };
   }
 
   /**
-   * Import questions from JSON
-   * @param {string} jsonString - JSON string
-   * @returns {Array} Parsed questions
+   * Import a question set file
+   * Invalid items are left out and reported in `rejected`; a bare array is read as a set without metadata.
+   * @param {string} jsonString - File content
+   * @returns {Object} { title, author, description, version, questions, rejected: [{ index, errors }] }
+   * @throws {Error} If the file is not a readable question set
    */
   importQuestions(jsonString) {
+    let data;
     try {
-      const questions = JSON.parse(jsonString);
-      if (!Array.isArray(questions)) {
-        throw new Error('Invalid format: expected array of questions');
-      }
-      
-      // Validate each question
-      const validatedQuestions = questions.map((q, index) => {
-        const validation = this.validateQuestion(q);
-        if (!validation.isValid) {
-          console.warn(`Question ${index} validation failed:`, validation.errors);
-        }
-        return q;
-      });
-      
-      return validatedQuestions;
+      data = JSON.parse(jsonString);
     } catch (error) {
-      console.error('Error importing questions:', error);
-      return [];
+      throw new Error('File is not valid JSON');
+    }
+
+    const set = Array.isArray(data) ? { format: QUESTION_SET_FORMAT, version: 1, questions: data } : data;
+    if (!set || set.format !== QUESTION_SET_FORMAT || !Array.isArray(set.questions)) {
+      throw new Error('File is not a question set');
+    }
+    if (!Number.isInteger(set.version) || set.version < 1 || set.version > QUESTION_SET_VERSION) {
+      throw new Error(`Unsupported question set version: ${set.version}`);
+    }
+
+    const questions = [];
+    const rejected = [];
+    set.questions.forEach((item, index) => {
+      const { question, errors } = this.normalizeImportedQuestion(item);
+      if (question) {
+        questions.push(question);
+      } else {
+        rejected.push({ index, errors });
+      }
+    });
+
+    return {
+      title: typeof set.title === 'string' ? set.title : '',
+      author: typeof set.author === 'string' ? set.author : '',
+      description: typeof set.description === 'string' ? set.description : '',
+      version: set.version,
+      questions,
+      rejected
+    };
+  }
+
+  /**
+   * Check one question set item and turn it into a question
+   * @param {Object} item - { operator, factorA, factorB, correctAnswer?, difficulty?, options?: number[] }
+   * @returns {Object} { question, errors } (question is null when invalid)
+   */
+  normalizeImportedQuestion(item) {
+    if (!item || typeof item !== 'object') {
+      return { question: null, errors: ['Item is not an object'] };
+    }
+
+    const errors = [];
+    const operator = item.operator ?? 'multiply';
+    const factorA = item.factorA;
+    const factorB = operator === 'square' && item.factorB === undefined ? item.factorA : item.factorB;
+
+    if (!OPERATIONS[operator]) errors.push('Invalid operator');
+    if (!Number.isInteger(factorA) || factorA < 0) errors.push('Invalid factor A');
+    if (!Number.isInteger(factorB) || factorB < 0) errors.push('Invalid factor B');
+    if (operator === 'square' && factorA !== factorB) errors.push('Square factors must be equal');
+    if (errors.length > 0) return { question: null, errors };
+
+    const correctAnswer = computeAnswer(operator, factorA, factorB);
+    if (!Number.isInteger(correctAnswer)) {
+      errors.push('Answer is not a whole number');
+    } else if (item.correctAnswer !== undefined && item.correctAnswer !== correctAnswer) {
+      errors.push('Correct answer does not match operation');
+    }
+
+    const values = item.options ?? [];
+    if (!Array.isArray(values)) {
+      errors.push('Invalid options array');
+    } else if (values.length > 0) {
+      if (values.length < MIN_OPTION_COUNT || values.length > MAX_OPTION_COUNT) {
+        errors.push(`Options must have between ${MIN_OPTION_COUNT} and ${MAX_OPTION_COUNT} values`);
+      }
+      if (!values.every(value => Number.isInteger(value) && value >= 0)) {
+        errors.push('Option values must be non-negative whole numbers');
+      }
+      if (new Set(values).size !== values.length) {
+        errors.push('Option values must be unique');
+      }
+      if (!values.includes(correctAnswer)) {
+        errors.push('Options must include the correct answer');
+      }
+    }
+    if (errors.length > 0) return { question: null, errors };
+
+    const difficulty = DIFFICULTY_LEVELS.includes(item.difficulty) ? item.difficulty : 'medium';
+    const fact = { operator, factorA, factorB, correctAnswer };
+    const question = {
+      id: this.generateQuestionId(),
+      operator,
+      rule: null,
+      factorA,
+      factorB,
+      correctAnswer,
+      options: values.map((value, index) => ({
+        value,
+        position: index + 1,
+        isCorrect: value === correctAnswer,
+        strategy: value === correctAnswer ? null : this.classifyAnswer(fact, value)
+      })),
+      difficulty,
+      timestamp: Date.now(),
+      timeLimit: this.getTimeLimit(difficulty)
+    };
+
+    const validation = this.validateQuestion(question);
+    return validation.isValid ? { question, errors: [] } : { question: null, errors: validation.errors };
+  }
+
+  /**
+   * Prepare imported questions for a session
+   * Options from the file are kept; items without options get generated ones.
+   * @param {Array} questions - Questions from importQuestions
+   * @param {Object} options - { answerMode, optionCount, seed }
+   * @returns {Array} Questions
+   */
+  generateQuestionsFromSet(questions, { answerMode = 'choice', optionCount = DEFAULT_OPTION_COUNT, seed = null } = {}) {
+    this.setSeed(seed);
+
+    return questions.map(q => {
+      const question = { ...q, id: this.generateQuestionId(), timestamp: Date.now() };
+      if (answerMode === 'typed') {
+        question.options = [];
+      } else if (question.options.length === 0) {
+        question.options = this.generateAnswerOptions(q.correctAnswer, q.factorA, q.factorB, q.difficulty, q.operator, optionCount);
+      }
+      return question;
+    });
+  }
+
+  /**
+   * Generate the questions of an exam blueprint
+   * Each section contributes `count` multiplication questions of its rule and difficulty;
+   * each question records its section index.
+   * @param {Object} blueprint - { order, sections: [{ count, ruleType, difficulty }] }
+   * @param {Object} options - { answerMode, optionCount, seed }
+   * @returns {Array} Questions in section order, or shuffled when the blueprint order is 'shuffled'
+   */
+  generateQuestionsFromBlueprint(blueprint, { answerMode = 'choice', optionCount = DEFAULT_OPTION_COUNT, seed = null } = {}) {
+    if (seed !== null) {
+      this.clearHistory();
     }
+    this.setSeed(seed);
+
+    const questions = [];
+    blueprint.sections.forEach((section, sectionIndex) => {
+      for (let i = 0; i < section.count; i++) {
+        const question = this.generateQuestion({
+          difficulty: section.difficulty,
+          ruleType: section.ruleType ?? null,
+          useMultiplicationRules: true,
+          operations: ['multiply'],
+          answerMode,
+          optionCount
+        });
+        question.section = sectionIndex;
+        questions.push(question);
+      }
+    });
+
+    return blueprint.order === 'shuffled' ? shuffleArray(questions, this.rng) : questions;
   }
 }
 
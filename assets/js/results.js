@@ -1,6 +1,17 @@
 // SuperMind Trainer - Results Page
 
 import { Storage, formatTime, formatDate, exportToCSV, createConfetti, showNotification } from './utils.js';
+import { formatExpression, DISTRACTOR_STRATEGIES, DIFFICULTY_LEVELS, DIFFICULTY_NAMES } from './questionGenerator.js';
+import { INTEGRITY_EVENTS } from './integrityLog.js';
+import { BlueprintStore } from './examBlueprints.js';
+import { getSolutionSteps } from './solutionSteps.js';
+
+// Label of each test type, keyed by result type (each type has its own page, <type>.html)
+const TEST_TYPE_NAMES = {
+  training: 'وضع التدريب',
+  exam: 'وضع الاختبار',
+  sprint: 'وضع السرعة'
+};
 
 /**
  * Results Page Controller
@@ -20,9 +31,15 @@ export class ResultsController {
     this.elements = {
       // Summary elements
       testTypeEl: document.getElementById('test-type'),
+      sessionSeedEl: document.getElementById('session-seed'),
       finalScoreEl: document.getElementById('final-score'),
+      scorePolicyEl: document.getElementById('score-policy'),
+      survivalSummaryEl: document.getElementById('survival-summary'),
+      sprintSummaryEl: document.getElementById('sprint-summary'),
       correctAnswersEl: document.getElementById('correct-answers'),
       wrongAnswersEl: document.getElementById('wrong-answers'),
+      timedOutItemEl: document.getElementById('timed-out-item'),
+      timedOutAnswersEl: document.getElementById('timed-out-answers'),
       totalTimeEl: document.getElementById('total-time'),
       
       // Detailed results
@@ -32,6 +49,16 @@ export class ResultsController {
       avgResponseTimeEl: document.getElementById('avg-response-time'),
       accuracyRateEl: document.getElementById('accuracy-rate'),
       progressIndicatorEl: document.getElementById('progress-indicator'),
+      errorPatternsCardEl: document.getElementById('error-patterns-card'),
+      errorPatternsEl: document.getElementById('error-patterns'),
+      difficultyCurveEl: document.getElementById('difficulty-curve'),
+      difficultyCurveBarsEl: document.getElementById('difficulty-curve-bars'),
+      difficultyCurveSummaryEl: document.getElementById('difficulty-curve-summary'),
+      integrityLogEl: document.getElementById('integrity-log'),
+      integritySummaryEl: document.getElementById('integrity-summary'),
+      integrityTimelineEl: document.getElementById('integrity-timeline'),
+      sectionResultsEl: document.getElementById('section-results'),
+      sectionResultsListEl: document.getElementById('section-results-list'),
       
       // Action buttons
       exportCsvBtnEl: document.getElementById('export-csv'),
@@ -140,17 +167,27 @@ export class ResultsController {
    * Display results summary
    */
   displayResults() {
-    const { type, score, correctCount, wrongCount, totalTime, totalQuestions } = this.currentResult;
+    const { type, score, correctCount, wrongCount, timedOutCount, timerMode, totalTime, totalQuestions } = this.currentResult;
 
     // Update test type
-    this.elements.testTypeEl.textContent = type === 'training' ? 'وضع التدريب' : 'وضع الاختبار';
+    this.elements.testTypeEl.textContent = TEST_TYPE_NAMES[type] || TEST_TYPE_NAMES.exam;
+    this.displaySurvivalSummary();
+    this.displaySprintSummary();
+
+    // Show the seed so the same question set can be regenerated
+    this.displaySeed();
 
     // Update score
     this.elements.finalScoreEl.textContent = `${score}%`;
+    this.displayScoringPolicy();
 
     // Update counts
     this.elements.correctAnswersEl.textContent = correctCount;
     this.elements.wrongAnswersEl.textContent = wrongCount;
+    if (this.elements.timedOutItemEl && (timerMode === 'per-question' || timedOutCount > 0)) {
+      this.elements.timedOutAnswersEl.textContent = timedOutCount || 0;
+      this.elements.timedOutItemEl.style.display = '';
+    }
     this.elements.totalTimeEl.textContent = formatTime(totalTime);
 
     // Update detailed questions
@@ -158,6 +195,76 @@ export class ResultsController {
 
     // Update performance analysis
     this.updatePerformanceAnalysis();
+
+    // Summarize what kind of mistakes were made
+    this.displayErrorPatterns();
+
+    // Show how difficulty changed over an adaptive session
+    this.displayDifficultyCurve();
+
+    // Show focus loss and tab switches during an exam
+    this.displayIntegrityLog();
+
+    // Show the score of each blueprint section
+    this.displaySectionResults();
+  }
+
+  /**
+   * Show which scoring policy produced the score
+   */
+  displayScoringPolicy() {
+    const { scoringPolicy } = this.currentResult;
+    if (!this.elements.scorePolicyEl || !scoringPolicy) return;
+
+    const currentLang = document.documentElement.lang;
+    const { ar, en } = scoringPolicy.name;
+    this.elements.scorePolicyEl.innerHTML = `<span data-ar="${ar}" data-en="${en}">${currentLang === 'ar' ? ar : en}</span>`;
+    this.elements.scorePolicyEl.style.display = 'block';
+  }
+
+  /**
+   * Show how long a survival run lasted and the highest difficulty it reached
+   */
+  displaySurvivalSummary() {
+    const { survival } = this.currentResult;
+    if (!this.elements.survivalSummaryEl || !survival) return;
+
+    const currentLang = document.documentElement.lang;
+    const level = DIFFICULTY_NAMES[survival.highestDifficulty] || { ar: survival.highestDifficulty, en: survival.highestDifficulty };
+    const ar = `البقاء: ${survival.questionsSurvived} سؤالاً، أعلى مستوى ${level.ar}`;
+    const en = `Survival: ${survival.questionsSurvived} questions, up to ${level.en}`;
+    this.elements.survivalSummaryEl.innerHTML = `<span data-ar="${ar}" data-en="${en}">${currentLang === 'ar' ? ar : en}</span>`;
+    this.elements.survivalSummaryEl.style.display = 'block';
+  }
+
+  /**
+   * Show the throughput of a sprint: correct answers per minute over its fixed duration
+   */
+  displaySprintSummary() {
+    const { type, throughput, sprintDuration, accuracy } = this.currentResult;
+    if (!this.elements.sprintSummaryEl || type !== 'sprint') return;
+
+    const currentLang = document.documentElement.lang;
+    const ar = `السرعة: ${throughput} إجابة صحيحة/دقيقة خلال ${sprintDuration} ثانية، دقة ${accuracy}%`;
+    const en = `Sprint: ${throughput} correct/min over ${sprintDuration} s, ${accuracy}% accuracy`;
+    this.elements.sprintSummaryEl.innerHTML = `<span data-ar="${ar}" data-en="${en}">${currentLang === 'ar' ? ar : en}</span>`;
+    this.elements.sprintSummaryEl.style.display = 'block';
+  }
+
+  /**
+   * Display session seed
+   */
+  displaySeed() {
+    const { seed } = this.currentResult;
+    if (!this.elements.sessionSeedEl || !seed) return;
+
+    const currentLang = document.documentElement.lang;
+    this.elements.sessionSeedEl.innerHTML = `
+      <span data-ar="رمز المجموعة: ${seed}" data-en="Seed: ${seed}">
+        ${currentLang === 'ar' ? `رمز المجموعة: ${seed}` : `Seed: ${seed}`}
+      </span>
+    `;
+    this.elements.sessionSeedEl.style.display = 'block';
   }
 
   /**
@@ -182,23 +289,35 @@ export class ResultsController {
     questionEl.className = `question-item ${question.isCorrect ? 'correct' : 'wrong'}`;
 
     const currentLang = document.documentElement.lang;
-    const userAnswer = question.userAnswer !== null ? question.userAnswer : 
+    const userAnswer = question.userAnswer !== null && question.userAnswer !== undefined ? question.userAnswer : 
       (currentLang === 'ar' ? 'لم يتم الإجابة' : 'No answer');
     const responseTime = question.responseTime ? formatTime(Math.floor(question.responseTime / 1000)) : '0:00';
+    const statusClass = question.isCorrect ? 'correct' : (question.timedOut ? 'timed-out' : 'wrong');
+    const status = question.isCorrect ? { ar: 'صحيح', en: 'Correct' } :
+      (question.timedOut ? { ar: 'انتهى الوقت', en: 'Timed out' } : { ar: 'خطأ', en: 'Wrong' });
+    const solution = getSolutionSteps(question)
+      .map(({ ar, en }) => `<li data-ar="${ar}" data-en="${en}">${currentLang === 'ar' ? ar : en}</li>`)
+      .join('');
+    const hints = question.hintsUsed > 0
+      ? { ar: `التلميحات: ${question.hintsUsed}`, en: `Hints: ${question.hintsUsed}` }
+      : null;
+    const attempts = question.attempts > 1
+      ? { ar: `المحاولات: ${question.attempts}`, en: `Attempts: ${question.attempts}` }
+      : null;
 
     questionEl.innerHTML = `
       <div class="question-header">
         <span class="question-number" data-ar="سؤال ${index + 1}" data-en="Question ${index + 1}">
           ${currentLang === 'ar' ? `سؤال ${index + 1}` : `Question ${index + 1}`}
         </span>
-        <span class="question-status ${question.isCorrect ? 'correct' : 'wrong'}">
-          <span data-ar="${question.isCorrect ? 'صحيح' : 'خطأ'}" data-en="${question.isCorrect ? 'Correct' : 'Wrong'}">
-            ${question.isCorrect ? (currentLang === 'ar' ? 'صحيح' : 'Correct') : (currentLang === 'ar' ? 'خطأ' : 'Wrong')}
+        <span class="question-status ${statusClass}">
+          <span data-ar="${status.ar}" data-en="${status.en}">
+            ${status[currentLang] || status.ar}
           </span>
         </span>
       </div>
       <div class="question-problem">
-        ${question.factorA} × ${question.factorB} = ${question.correctAnswer}
+        ${formatExpression(question)} = ${question.correctAnswer}
       </div>
       <div class="question-answer">
         <span class="answer-given" data-ar="إجابتك: ${userAnswer}" data-en="Your answer: ${userAnswer}">
@@ -210,7 +329,17 @@ export class ResultsController {
         <span class="response-time" data-ar="الوقت: ${responseTime}" data-en="Time: ${responseTime}">
           ${currentLang === 'ar' ? `الوقت: ${responseTime}` : `Time: ${responseTime}`}
         </span>
+        ${hints ? `<span class="hints-used" data-ar="${hints.ar}" data-en="${hints.en}">
+          ${currentLang === 'ar' ? hints.ar : hints.en}
+        </span>` : ''}
+        ${attempts ? `<span class="attempts-used" data-ar="${attempts.ar}" data-en="${attempts.en}">
+          ${currentLang === 'ar' ? attempts.ar : attempts.en}
+        </span>` : ''}
       </div>
+      <details class="question-solution">
+        <summary data-ar="طريقة الحل" data-en="Worked solution">${currentLang === 'ar' ? 'طريقة الحل' : 'Worked solution'}</summary>
+        <ol class="solution-steps">${solution}</ol>
+      </details>
     `;
 
     return questionEl;
@@ -221,6 +350,8 @@ export class ResultsController {
    */
   updatePerformanceAnalysis() {
     const { averageResponseTime, score } = this.currentResult;
+    // Sessions saved before scoring policies scored by accuracy
+    const accuracy = this.currentResult.accuracy ?? score;
     const previousResults = this.getPreviousResults();
     const previousScore = this.getPreviousBestScore(previousResults);
     const currentLang = document.documentElement.lang;
@@ -232,8 +363,8 @@ export class ResultsController {
     this.elements.avgResponseTimeEl.innerHTML = `<span data-ar="متوسط الوقت: ${formatTime(Math.floor(averageResponseTime / 1000))}" data-en="Average time: ${formatTime(Math.floor(averageResponseTime / 1000))}">${avgTimeText}</span>`;
 
     // Update accuracy rate
-    const accuracyText = currentLang === 'ar' ? `معدل الدقة: ${score}%` : `Accuracy rate: ${score}%`;
-    this.elements.accuracyRateEl.innerHTML = `<span data-ar="معدل الدقة: ${score}%" data-en="Accuracy rate: ${score}%">${accuracyText}</span>`;
+    const accuracyText = currentLang === 'ar' ? `معدل الدقة: ${accuracy}%` : `Accuracy rate: ${accuracy}%`;
+    this.elements.accuracyRateEl.innerHTML = `<span data-ar="معدل الدقة: ${accuracy}%" data-en="Accuracy rate: ${accuracy}%">${accuracyText}</span>`;
 
     // Update progress indicator
     let progressText = '';
@@ -259,6 +390,140 @@ export class ResultsController {
     this.elements.progressIndicatorEl.style.color = progressColor;
   }
 
+  /**
+   * Display error pattern summary
+   * Groups wrong answers by the misconception they were tagged with.
+   */
+  displayErrorPatterns() {
+    const { questions } = this.currentResult;
+    if (!this.elements.errorPatternsEl || !questions) return;
+
+    const mistakes = questions.filter(q => !q.isCorrect && !q.skipped);
+    const counts = {};
+    mistakes.forEach(q => {
+      if (q.errorType && DISTRACTOR_STRATEGIES[q.errorType]) {
+        counts[q.errorType] = (counts[q.errorType] || 0) + 1;
+      }
+    });
+
+    const patterns = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (patterns.length === 0) {
+      this.elements.errorPatternsCardEl.style.display = 'none';
+      return;
+    }
+
+    const currentLang = document.documentElement.lang;
+    const total = mistakes.length;
+    this.elements.errorPatternsEl.innerHTML = patterns.map(([type, count]) => {
+      const label = DISTRACTOR_STRATEGIES[type];
+      const arText = `${label.ar}: ${count} من أصل ${total} أخطاء`;
+      const enText = `${label.en}: ${count} of your ${total} mistakes`;
+      return `<li data-ar="${arText}" data-en="${enText}">${currentLang === 'ar' ? arText : enText}</li>`;
+    }).join('');
+    this.elements.errorPatternsCardEl.style.display = '';
+  }
+
+  /**
+   * Display difficulty curve
+   * One bar per question, its height the difficulty level and its color the outcome.
+   */
+  displayDifficultyCurve() {
+    const { questions, adaptiveDifficulty } = this.currentResult;
+    if (!this.elements.difficultyCurveEl || !questions || questions.length === 0) return;
+
+    const levels = questions.map(q => DIFFICULTY_LEVELS.indexOf(q.difficulty === 'normal' ? 'medium' : q.difficulty));
+    const varies = new Set(levels).size > 1;
+    if (levels.includes(-1) || (!adaptiveDifficulty && !varies)) {
+      this.elements.difficultyCurveEl.style.display = 'none';
+      return;
+    }
+
+    const currentLang = document.documentElement.lang;
+    this.elements.difficultyCurveBarsEl.innerHTML = questions.map((q, index) => {
+      const height = ((levels[index] + 1) / DIFFICULTY_LEVELS.length) * 100;
+      const name = DIFFICULTY_NAMES[DIFFICULTY_LEVELS[levels[index]]][currentLang] || q.difficulty;
+      return `<div class="difficulty-bar ${q.isCorrect ? 'correct' : 'wrong'}" style="height: ${height}%" title="${index + 1}: ${name}"></div>`;
+    }).join('');
+
+    const first = DIFFICULTY_NAMES[DIFFICULTY_LEVELS[levels[0]]];
+    const last = DIFFICULTY_NAMES[DIFFICULTY_LEVELS[levels[levels.length - 1]]];
+    const peak = DIFFICULTY_NAMES[DIFFICULTY_LEVELS[Math.max(...levels)]];
+    const arText = `البداية: ${first.ar} ← النهاية: ${last.ar} (الأعلى: ${peak.ar})`;
+    const enText = `Start: ${first.en} → End: ${last.en} (peak: ${peak.en})`;
+    this.elements.difficultyCurveSummaryEl.dataset.ar = arText;
+    this.elements.difficultyCurveSummaryEl.dataset.en = enText;
+    this.elements.difficultyCurveSummaryEl.textContent = currentLang === 'ar' ? arText : enText;
+    this.elements.difficultyCurveEl.style.display = 'block';
+  }
+
+  /**
+   * Display the exam integrity log as a timeline
+   */
+  displayIntegrityLog() {
+    const { type, integrityLog, violationCount = 0 } = this.currentResult;
+    if (!this.elements.integrityLogEl || type !== 'exam' || !Array.isArray(integrityLog)) return;
+
+    const currentLang = document.documentElement.lang;
+    const awaySeconds = Math.round(integrityLog.reduce((sum, entry) => sum + (entry.awayMs || 0), 0) / 1000);
+    const arSummary = violationCount > 0
+      ? `غادر الطالب نافذة الاختبار ${violationCount} مرة (المدة الإجمالية ${formatTime(awaySeconds)})`
+      : 'لم تُسجَّل أي مغادرة لنافذة الاختبار';
+    const enSummary = violationCount > 0
+      ? `Left the exam window ${violationCount} time(s) (${formatTime(awaySeconds)} in total)`
+      : 'The exam window was never left';
+    this.elements.integritySummaryEl.dataset.ar = arSummary;
+    this.elements.integritySummaryEl.dataset.en = enSummary;
+    this.elements.integritySummaryEl.textContent = currentLang === 'ar' ? arSummary : enSummary;
+    this.elements.integritySummaryEl.classList.toggle('flagged', violationCount > 0);
+
+    this.elements.integrityTimelineEl.innerHTML = integrityLog.map(entry => {
+      const label = INTEGRITY_EVENTS[entry.type] || { ar: entry.type, en: entry.type };
+      const arDetails = [`السؤال ${entry.questionIndex + 1}`];
+      const enDetails = [`question ${entry.questionIndex + 1}`];
+      if (entry.awayMs) {
+        arDetails.push(`بعد ${formatTime(Math.round(entry.awayMs / 1000))}`);
+        enDetails.push(`after ${formatTime(Math.round(entry.awayMs / 1000))}`);
+      }
+      if (entry.idleMs) {
+        arDetails.push(`لمدة ${formatTime(Math.round(entry.idleMs / 1000))}`);
+        enDetails.push(`for ${formatTime(Math.round(entry.idleMs / 1000))}`);
+      }
+      const arText = `${label.ar} (${arDetails.join('، ')})`;
+      const enText = `${label.en} (${enDetails.join(', ')})`;
+      const isViolation = ['hidden', 'blur', 'auto-submit'].includes(entry.type);
+      return `
+        <li class="${isViolation ? 'violation' : ''}">
+          <span class="integrity-time">${formatTime(Math.floor(entry.at / 1000))}</span>
+          <span data-ar="${arText}" data-en="${enText}">${currentLang === 'ar' ? arText : enText}</span>
+        </li>
+      `;
+    }).join('');
+    this.elements.integrityTimelineEl.style.display = integrityLog.length > 0 ? '' : 'none';
+    this.elements.integrityLogEl.style.display = 'block';
+  }
+
+  /**
+   * Display the score of each blueprint section
+   */
+  displaySectionResults() {
+    const { sectionResults } = this.currentResult;
+    if (!this.elements.sectionResultsEl || !Array.isArray(sectionResults) || sectionResults.length === 0) return;
+
+    const currentLang = document.documentElement.lang;
+    this.elements.sectionResultsListEl.innerHTML = sectionResults.map((section, index) => {
+      const blueprint = { sections: [section] };
+      const arText = `القسم ${index + 1}: ${BlueprintStore.describe(blueprint, 'ar')} — ${section.correctCount}/${section.count} صحيحة، الوقت ${formatTime(section.timeSpent)}`;
+      const enText = `Section ${index + 1}: ${BlueprintStore.describe(blueprint, 'en')} — ${section.correctCount}/${section.count} correct, time ${formatTime(section.timeSpent)}`;
+      return `
+        <li>
+          <span class="section-score">${section.score}%</span>
+          <span data-ar="${arText}" data-en="${enText}">${currentLang === 'ar' ? arText : enText}</span>
+        </li>
+      `;
+    }).join('');
+    this.elements.sectionResultsEl.style.display = 'block';
+  }
+
   /**
    * Get previous results
    */
@@ -298,13 +563,17 @@ export class ResultsController {
     const filename = `results_${this.currentResult.type}_${timestamp}.csv`;
     success = exportToCSV(csvData, filename, [
       'Question Number',
+      'Operation',
       'Factor A',
       'Factor B',
       'Correct Answer',
       'User Answer',
       'Is Correct',
       'Response Time (seconds)',
-      'Skipped'
+      'Skipped',
+      'Timed Out',
+      'Error Type',
+      'Difficulty'
     ]);
 
     if (success) {
@@ -322,13 +591,17 @@ export class ResultsController {
 
     return this.currentResult.questions.map((question, index) => [
       index + 1,
+      question.operator || 'multiply',
       question.factorA,
       question.factorB,
       question.correctAnswer,
-      question.userAnswer || '',
+      question.userAnswer ?? '',
       question.isCorrect ? 'Yes' : 'No',
       Math.floor(question.responseTime / 1000),
-      question.skipped ? 'Yes' : 'No'
+      question.skipped ? 'Yes' : 'No',
+      question.timedOut ? 'Yes' : 'No',
+      question.errorType || '',
+      question.difficulty || ''
     ]);
   }
 
@@ -350,7 +623,7 @@ export class ResultsController {
   retryTest() {
     const testType = this.currentResult.type;
     // From results page (assets/html/), navigate to sibling pages reliably
-    window.location.href = testType === 'training' ? 'training.html' : 'exam.html';
+    window.location.href = `${testType in TEST_TYPE_NAMES ? testType : 'exam'}.html`;
   }
 
   /**
@@ -397,6 +670,14 @@ export class ResultsController {
       comment,
       type: this.currentResult.type,
       score: this.currentResult.score,
+      accuracy: this.currentResult.accuracy ?? this.currentResult.score,
+      scoringPolicy: this.currentResult.scoringPolicy || null,
+      violationCount: this.currentResult.violationCount || 0,
+      preset: this.currentResult.preset || null,
+      configFingerprint: this.currentResult.configFingerprint || null,
+      survival: this.currentResult.survival || null,
+      throughput: this.currentResult.throughput ?? null,
+      sprintDuration: this.currentResult.sprintDuration ?? null,
       correctCount: this.currentResult.correctCount,
       wrongCount: this.currentResult.wrongCount,
       totalQuestions: this.currentResult.totalQuestions,
@@ -0,0 +1,108 @@
+// SuperMind Trainer - Scoring Policies
+
+// Points per question when a policy weights questions by difficulty
+export const DIFFICULTY_WEIGHTS = {
+  easy: 1,
+  medium: 2,
+  normal: 2,
+  hard: 3,
+  extreme: 4
+};
+
+// Correct answers faster than FULL_BONUS_MS earn the whole bonus (a share of the question's
+// points); the bonus shrinks linearly to nothing at NO_BONUS_MS. The bonus is added on top of
+// the maximum points, so it can make up for mistakes but the score is capped at 100.
+const SPEED_BONUS_SHARE = 0.25;
+const FULL_BONUS_MS = 3000;
+const NO_BONUS_MS = 15000;
+
+// Each hint taken takes this share off a correct answer's points (bonus included)
+export const HINT_PENALTY_SHARE = 0.25;
+
+/**
+ * Selectable scoring policies
+ * negativeMarking is the share of a question's points taken off for a wrong answer
+ * (skipped and timed-out questions are never penalized).
+ */
+export const SCORING_POLICIES = {
+  standard: {
+    name: { ar: 'قياسي (نسبة الإجابات الصحيحة)', en: 'Standard (accuracy)' },
+    negativeMarking: 0,
+    weightByDifficulty: false,
+    speedBonus: false
+  },
+  negative: {
+    name: { ar: 'خصم ربع درجة لكل إجابة خاطئة', en: 'Negative marking (−¼ per wrong answer)' },
+    negativeMarking: 0.25,
+    weightByDifficulty: false,
+    speedBonus: false
+  },
+  weighted: {
+    name: { ar: 'درجات حسب الصعوبة', en: 'Weighted by difficulty' },
+    negativeMarking: 0,
+    weightByDifficulty: true,
+    speedBonus: false
+  },
+  speed: {
+    name: { ar: 'مكافأة السرعة', en: 'Speed bonus' },
+    negativeMarking: 0,
+    weightByDifficulty: false,
+    speedBonus: true
+  },
+  competition: {
+    name: { ar: 'مسابقة (خصم وأوزان وسرعة)', en: 'Competition (negative, weighted, speed)' },
+    negativeMarking: 0.25,
+    weightByDifficulty: true,
+    speedBonus: true
+  }
+};
+
+export const DEFAULT_SCORING_POLICY = 'standard';
+
+/**
+ * Get a scoring policy with its id (unknown ids fall back to the standard policy)
+ * @param {string} id - Policy id
+ * @returns {Object} Policy
+ */
+export function getScoringPolicy(id) {
+  const key = SCORING_POLICIES[id] ? id : DEFAULT_SCORING_POLICY;
+  return { id: key, ...SCORING_POLICIES[key] };
+}
+
+/**
+ * Score question results under a policy
+ * The score is the share of the maximum points (the sum of the question weights, speed bonus
+ * not included), capped from 0 to 100; accuracy is the plain share of correct answers.
+ * @param {Array} results - { difficulty, isCorrect, skipped, timedOut, responseTime, hintsUsed }
+ * @param {Object} policy - Policy from getScoringPolicy
+ * @returns {{score: number, accuracy: number, points: number, maxPoints: number}} Scores
+ */
+export function scoreResults(results, policy = getScoringPolicy(DEFAULT_SCORING_POLICY)) {
+  let points = 0;
+  let maxPoints = 0;
+  let correctCount = 0;
+
+  results.forEach(result => {
+    const weight = policy.weightByDifficulty ? (DIFFICULTY_WEIGHTS[result.difficulty] || DIFFICULTY_WEIGHTS.medium) : 1;
+    maxPoints += weight;
+
+    if (result.isCorrect) {
+      correctCount++;
+      let earned = weight;
+      if (policy.speedBonus) {
+        const speed = (NO_BONUS_MS - (result.responseTime || 0)) / (NO_BONUS_MS - FULL_BONUS_MS);
+        earned += weight * SPEED_BONUS_SHARE * Math.min(1, Math.max(0, speed));
+      }
+      points += earned * Math.max(0, 1 - HINT_PENALTY_SHARE * (result.hintsUsed || 0));
+    } else if (!result.skipped && !result.timedOut) {
+      points -= weight * policy.negativeMarking;
+    }
+  });
+
+  return {
+    score: maxPoints > 0 ? Math.min(100, Math.max(0, Math.round((points / maxPoints) * 100))) : 0,
+    accuracy: results.length > 0 ? Math.round((correctCount / results.length) * 100) : 0,
+    points: Math.round(points * 100) / 100,
+    maxPoints: Math.round(maxPoints * 100) / 100
+  };
+}
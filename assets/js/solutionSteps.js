@@ -0,0 +1,129 @@
+// SuperMind Trainer - Solution Hints
+
+import { RuleRegistry, step } from './multiplicationRules.js';
+import { formatExpression } from './questionGenerator.js';
+
+// The fully random rule, whose technique works for any product
+const GENERAL_RULE_ID = 4;
+
+/**
+ * Steps for a product, using the technique of the rule that produced it; products without
+ * a rule (or whose rule has no technique) use the general one of the fully random rule
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @param {number|null} ruleId - RuleRegistry id
+ * @returns {Array} Steps
+ */
+function explainMultiplication(a, b, ruleId) {
+  const rule = RuleRegistry.get(ruleId);
+  return (rule && typeof rule.explain === 'function' ? rule : RuleRegistry.get(GENERAL_RULE_ID)).explain(a, b);
+}
+
+/**
+ * Steps for a division, worked without giving the quotient away: ÷5 and ÷25 use the
+ * reverse of their multiplication shortcuts; other divisors are taken away in tens
+ * @param {number} a - Dividend
+ * @param {number} b - Divisor
+ * @returns {Array} Steps
+ */
+function explainDivision(a, b) {
+  const think = step(`فكّر في الضرب: أي عدد × ${b} = ${a}؟`, `Think of multiplication: what number × ${b} = ${a}?`);
+  if (b === 5) {
+    return [think, step(`ضاعف ${a}: ${a} × 2 = ${a * 2}`, `Double ${a}: ${a} × 2 = ${a * 2}`), step(`اقسم على 10: ${a * 2} ÷ 10`, `Divide by 10: ${a * 2} ÷ 10`)];
+  }
+  if (b === 25) {
+    return [think, step(`اضرب ${a} في 4: ${a * 4}`, `Multiply ${a} by 4: ${a * 4}`), step(`اقسم على 100: ${a * 4} ÷ 100`, `Divide by 100: ${a * 4} ÷ 100`)];
+  }
+
+  const tens = Math.floor(a / b / 10) * 10;
+  if (tens === 0) {
+    const multiples = Array.from({ length: Math.max(1, Math.floor(a / b) - 1) }, (_, i) => b * (i + 1));
+    return [think, step(`عُدّ بمضاعفات ${b} حتى تصل إلى ${a}: ${multiples.join('، ')}، …`, `Count up in ${b}s until you reach ${a}: ${multiples.join(', ')}, …`)];
+  }
+  const rest = a - b * tens;
+  return [
+    think,
+    step(`${b} × ${tens} = ${b * tens}`, `${b} × ${tens} = ${b * tens}`),
+    step(`الباقي ${a} − ${b * tens} = ${rest}: كم مرة يدخل ${b} فيه؟ أضف ذلك إلى ${tens}`, `${a} − ${b * tens} = ${rest} is left: how many ${b}s fit in it? Add that to ${tens}`)
+  ];
+}
+
+/**
+ * Steps for a square: numbers ending in 5 use their shortcut; others go through the nearest ten
+ * @param {number} n - Number to square
+ * @returns {Array} Steps
+ */
+function explainSquare(n) {
+  if (n % 10 === 5) {
+    return explainMultiplication(n, n, 7);
+  }
+  if (n < 10 || n % 10 === 0) {
+    return explainMultiplication(n, n, GENERAL_RULE_ID);
+  }
+
+  const distance = n % 10 < 5 ? n % 10 : 10 - (n % 10);
+  const low = n - distance;
+  const high = n + distance;
+  return [
+    step(`قرّب ${n} إلى أقرب عشرة: الفرق ${distance}، فاضرب ${low} × ${high} بدلاً منه`, `Move ${n} to the nearest ten: it is ${distance} away, so multiply ${low} × ${high} instead`),
+    step(`${low} × ${high} = ${low * high}`, `${low} × ${high} = ${low * high}`),
+    step(`أضف مربع الفرق: ${low * high} + ${distance}² (${distance * distance})`, `Add the square of the distance: ${low * high} + ${distance}² (${distance * distance})`)
+  ];
+}
+
+/**
+ * Steps for addition or subtraction: tens first, then ones
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @param {boolean} subtract - Whether to subtract
+ * @returns {Array} Steps
+ */
+function explainAddSubtract(a, b, subtract) {
+  const sign = subtract ? '−' : '+';
+  const ones = b % 10;
+  const tens = b - ones;
+  if (tens === 0 || ones === 0) {
+    return [subtract
+      ? step(`اطرح ${b} من ${a} بدءاً من الآحاد`, `Subtract ${b} from ${a}, starting with the ones`)
+      : step(`أضف ${b} إلى ${a} بدءاً من الآحاد`, `Add ${b} to ${a}, starting with the ones`)];
+  }
+  const afterTens = subtract ? a - tens : a + tens;
+  return [
+    step(`افصل ${b} إلى ${tens} + ${ones}`, `Split ${b} into ${tens} + ${ones}`),
+    step(`العشرات أولاً: ${a} ${sign} ${tens} = ${afterTens}`, `Tens first: ${a} ${sign} ${tens} = ${afterTens}`),
+    step(`ثم الآحاد: ${afterTens} ${sign} ${ones}`, `Then the ones: ${afterTens} ${sign} ${ones}`)
+  ];
+}
+
+/**
+ * Get the technique steps for a question, leading up to the answer without stating it
+ * (these are the hints, revealed one at a time)
+ * @param {Object} question - Question with operator, rule, factorA and factorB
+ * @returns {Array} Steps ({ ar, en })
+ */
+export function getHintSteps(question) {
+  const { operator, rule, factorA, factorB } = question;
+  switch (operator) {
+    case 'add':
+      return explainAddSubtract(factorA, factorB, false);
+    case 'subtract':
+      return explainAddSubtract(factorA, factorB, true);
+    case 'square':
+      return explainSquare(factorA);
+    case 'divide':
+      return explainDivision(factorA, factorB);
+    case 'multiply':
+    default:
+      return explainMultiplication(factorA, factorB, rule);
+  }
+}
+
+/**
+ * Get the worked solution of a question: the technique steps followed by the answer
+ * @param {Object} question - Question with operator, rule, factorA, factorB and correctAnswer
+ * @returns {Array} Steps ({ ar, en })
+ */
+export function getSolutionSteps(question) {
+  const result = `${formatExpression(question)} = ${question.correctAnswer}`;
+  return [...getHintSteps(question), step(`الناتج: ${result}`, `Answer: ${result}`)];
+}
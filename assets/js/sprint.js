@@ -0,0 +1,497 @@
+// SuperMind Trainer - Sprint Mode
+
+import { questionGenerator, getFactorOptions, DEFAULT_FACTOR_SELECTION, getOperatorSymbol } from './questionGenerator.js';
+import { getScoringPolicy, scoreResults } from './scoring.js';
+import { getConfigFingerprint } from './examPresets.js';
+import { DEFAULT_SPRINT_DURATION, calculateThroughput } from './sprintMode.js';
+import { Storage, Timer, NumericEntry, formatTime, playSound, generateSeed, takeNextSessionSeed, isTouchDevice } from './utils.js';
+
+// The countdown pulses for the last seconds of the sprint
+const SPRINT_WARNING_SECONDS = 10;
+
+/**
+ * Sprint Mode Controller
+ * Answers as many questions as possible before the time runs out. Questions are generated one
+ * at a time as they are reached, and the next one follows each answer without a feedback pause.
+ */
+export class SprintController {
+  constructor() {
+    this.currentQuestion = null;
+    this.questions = [];
+    this.answers = [];
+    this.correctCount = 0;
+    this.wrongCount = 0;
+    this.timer = null;
+    this.questionStopwatch = null;
+    this.result = null;
+    this.settings = this.loadSettings();
+    this.nextSeed = takeNextSessionSeed();
+    this.isComplete = false;
+
+    this.initializeElements();
+    this.bindEvents();
+    this.startSprint();
+  }
+
+  /**
+   * Initialize DOM elements
+   */
+  initializeElements() {
+    this.elements = {
+      // Timer and counters
+      timerDisplayEl: document.getElementById('timer-display'),
+      timerTextEl: document.getElementById('timer-text'),
+      currentQuestionEl: document.getElementById('current-question'),
+      correctCountEl: document.getElementById('correct-count'),
+      wrongCountEl: document.getElementById('wrong-count'),
+
+      // Question elements
+      mathProblemEl: document.querySelector('.math-problem'),
+      factorAEl: document.getElementById('factor-a'),
+      operatorEl: document.querySelector('.math-problem .operator'),
+      factorBEl: document.getElementById('factor-b'),
+      answerOptionsEl: document.getElementById('answer-options'),
+
+      // Typed answer elements
+      typedAnswerEl: document.getElementById('typed-answer'),
+      typedAnswerDisplayEl: document.getElementById('typed-answer-display'),
+      numericKeypadEl: document.getElementById('numeric-keypad'),
+      typedAnswerSubmitBtnEl: document.getElementById('typed-answer-submit'),
+
+      // Completion modal
+      completionModalEl: document.getElementById('completion-modal'),
+      finalThroughputEl: document.getElementById('final-throughput'),
+      finalAccuracyEl: document.getElementById('final-accuracy'),
+      finalCorrectEl: document.getElementById('final-correct'),
+      finalAnsweredEl: document.getElementById('final-answered'),
+      viewResultsBtnEl: document.getElementById('view-results'),
+      startNewSprintBtnEl: document.getElementById('start-new-sprint')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    // Answer buttons
+    this.elements.answerOptionsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('.answer-btn');
+      if (btn) {
+        this.submitChoice(parseInt(btn.dataset.answer));
+      }
+    });
+
+    // Typed answer entry (keyboard and on-screen keypad)
+    this.numericEntry = new NumericEntry({
+      displayEl: this.elements.typedAnswerDisplayEl,
+      keypadEl: this.elements.numericKeypadEl,
+      onSubmit: () => this.submitTypedAnswer()
+    });
+    this.elements.typedAnswerSubmitBtnEl?.addEventListener('click', () => this.submitTypedAnswer());
+
+    // Keyboard answers
+    document.addEventListener('keydown', (e) => {
+      if (this.isComplete) return;
+
+      if (this.isTypedMode()) {
+        this.numericEntry.handleKeydown(e);
+      } else if (this.isOptionKey(e.key)) {
+        e.preventDefault();
+        this.submitChoice(parseInt(e.key));
+      }
+    });
+
+    // Completion modal buttons
+    this.elements.viewResultsBtnEl?.addEventListener('click', () => this.viewResults());
+    this.elements.startNewSprintBtnEl?.addEventListener('click', () => this.startNewSprint());
+
+    // Back button
+    const backBtn = document.getElementById('back-btn');
+    if (backBtn) {
+      backBtn.addEventListener('click', () => {
+        if (this.isComplete || confirm('هل أنت متأكد من العودة؟ سيتم فقدان التقدم الحالي.')) {
+          window.location.href = '../../index.html';
+        }
+      });
+    }
+
+    // Theme toggle
+    const themeToggle = document.getElementById('theme-toggle');
+    if (themeToggle) {
+      themeToggle.addEventListener('click', () => {
+        const currentTheme = document.body.classList.contains('light-theme') ? 'light' : 'dark';
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        document.body.className = `${newTheme}-theme`;
+        Storage.save('theme', newTheme);
+        this.updateThemeIcon();
+      });
+    }
+
+    // Language toggle
+    const languageToggle = document.getElementById('language-toggle');
+    if (languageToggle) {
+      languageToggle.addEventListener('click', () => {
+        const currentLang = document.documentElement.lang;
+        const newLang = currentLang === 'ar' ? 'en' : 'ar';
+
+        document.documentElement.lang = newLang;
+        document.documentElement.dir = newLang === 'ar' ? 'rtl' : 'ltr';
+        Storage.save('language', newLang);
+        this.updateLanguageIcon();
+        this.updateTexts();
+      });
+    }
+  }
+
+  /**
+   * Load sprint settings
+   */
+  loadSettings() {
+    const defaultSettings = {
+      sprintDuration: DEFAULT_SPRINT_DURATION,
+      soundEnabled: true,
+      difficulty: 'medium',
+      multiplicationRule: 'random',
+      operations: ['multiply'],
+      answerMode: 'choice',
+      optionCount: 4,
+      seed: null,
+      factorSelection: DEFAULT_FACTOR_SELECTION,
+      scoringPolicy: 'standard'
+    };
+
+    const savedSettings = Storage.load('sprintSettings', defaultSettings);
+    return { ...defaultSettings, ...savedSettings };
+  }
+
+  /**
+   * Start a sprint
+   */
+  startSprint() {
+    // Seeded like every session, so the questions can be regenerated from the record (a seed entered
+    // on the home page only seeds the first sprint)
+    this.seed = this.settings.seed || this.nextSeed || generateSeed();
+    this.nextSeed = null;
+    questionGenerator.clearHistory();
+    questionGenerator.setSeed(this.seed);
+
+    this.questions = [];
+    this.answers = [];
+    this.correctCount = 0;
+    this.wrongCount = 0;
+    this.isComplete = false;
+    this.result = null;
+    this.scoringPolicy = getScoringPolicy(this.settings.scoringPolicy);
+
+    this.applyAnswerMode();
+    this.updateStats();
+    this.showNextQuestion();
+
+    this.timer = new Timer(
+      this.settings.sprintDuration,
+      (remaining) => this.updateTimerDisplay(remaining),
+      () => this.finishSprint()
+    );
+    this.updateTimerDisplay(this.settings.sprintDuration);
+    this.timer.start();
+  }
+
+  /**
+   * Whether answers are typed instead of chosen
+   */
+  isTypedMode() {
+    return this.settings.answerMode === 'typed';
+  }
+
+  /**
+   * Show answer buttons or the typed answer entry
+   */
+  applyAnswerMode() {
+    const typed = this.isTypedMode();
+    this.elements.answerOptionsEl.style.display = typed ? 'none' : '';
+    if (this.elements.typedAnswerEl) {
+      this.elements.typedAnswerEl.style.display = typed ? 'block' : 'none';
+    }
+    if (this.elements.numericKeypadEl) {
+      // The on-screen keypad is for touch devices; keyboards type directly
+      this.elements.numericKeypadEl.style.display = typed && isTouchDevice() ? '' : 'none';
+    }
+  }
+
+  /**
+   * Generate the next question and show it
+   */
+  showNextQuestion() {
+    this.currentQuestion = questionGenerator.generateQuestion({
+      difficulty: this.settings.difficulty,
+      avoidDuplicates: true,
+      ruleType: this.settings.multiplicationRule === 'random' ? null : parseInt(this.settings.multiplicationRule),
+      ...getFactorOptions(this.settings.factorSelection),
+      operations: this.settings.operations,
+      answerMode: this.settings.answerMode,
+      optionCount: this.settings.optionCount
+    });
+    this.questions.push(this.currentQuestion);
+    this.questionStopwatch = new Timer(null);
+    this.questionStopwatch.start();
+
+    // Squares show only the base with a ² marker
+    const isSquare = this.currentQuestion.operator === 'square';
+    this.elements.factorAEl.textContent = this.currentQuestion.factorA;
+    this.elements.operatorEl.textContent = getOperatorSymbol(this.currentQuestion.operator);
+    this.elements.factorBEl.textContent = isSquare ? '' : this.currentQuestion.factorB;
+    this.elements.factorBEl.style.display = isSquare ? 'none' : '';
+    this.elements.currentQuestionEl.textContent = this.questions.length;
+
+    if (this.isTypedMode()) {
+      this.numericEntry.setValue('');
+      this.numericEntry.setEnabled(true);
+      return;
+    }
+    this.renderAnswerButtons();
+  }
+
+  /**
+   * Render one answer button per option of the current question
+   */
+  renderAnswerButtons() {
+    this.elements.answerOptionsEl.innerHTML = '';
+    this.currentQuestion.options.forEach((option, index) => {
+      const btn = document.createElement('button');
+      btn.className = 'answer-btn';
+      btn.dataset.answer = option.position;
+      btn.tabIndex = index + 1;
+      btn.innerHTML = `
+        <span class="answer-number">${index + 1}</span>
+        <span class="answer-value">${option.value}</span>
+      `;
+      this.elements.answerOptionsEl.appendChild(btn);
+    });
+  }
+
+  /**
+   * Whether a key selects one of the current question's options
+   */
+  isOptionKey(key) {
+    const position = parseInt(key);
+    return /^[1-9]$/.test(key) && position <= (this.currentQuestion?.options.length || 0);
+  }
+
+  /**
+   * Answer with the option at a position
+   * @param {number} position - Option position
+   */
+  submitChoice(position) {
+    if (this.isComplete) return;
+
+    const option = this.currentQuestion.options.find(opt => opt.position === position);
+    if (!option) return;
+
+    this.recordAnswer(option.isCorrect, option.value, option.strategy);
+  }
+
+  /**
+   * Answer with the typed value
+   */
+  submitTypedAnswer() {
+    if (this.isComplete || !this.isTypedMode()) return;
+
+    const value = this.numericEntry.getNumber();
+    if (value === null) return;
+
+    const isCorrect = value === this.currentQuestion.correctAnswer;
+    this.recordAnswer(isCorrect, value, questionGenerator.classifyAnswer(this.currentQuestion, value));
+  }
+
+  /**
+   * Record an answer and go straight to the next question
+   * @param {boolean} isCorrect - Whether the answer is correct
+   * @param {number} userAnswer - Given answer
+   * @param {string|null} errorType - Misconception behind a wrong answer
+   */
+  recordAnswer(isCorrect, userAnswer, errorType = null) {
+    this.questionStopwatch.stop();
+    const responseTime = Math.round(this.questionStopwatch.getElapsedMs());
+    this.answers.push({ userAnswer, isCorrect, responseTime, errorType });
+
+    if (isCorrect) {
+      this.correctCount++;
+    } else {
+      this.wrongCount++;
+    }
+    if (this.settings.soundEnabled) {
+      playSound(isCorrect ? 'correct' : 'wrong');
+    }
+
+    this.updateStats();
+    this.flashAnswer(isCorrect);
+    this.showNextQuestion();
+  }
+
+  /**
+   * Briefly color the problem to show whether the last answer was right
+   * @param {boolean} isCorrect - Whether the answer was correct
+   */
+  flashAnswer(isCorrect) {
+    const problemEl = this.elements.mathProblemEl;
+    if (!problemEl) return;
+
+    problemEl.classList.remove('flash-correct', 'flash-wrong');
+    // Force a reflow so the animation restarts on consecutive answers
+    void problemEl.offsetWidth;
+    problemEl.classList.add(isCorrect ? 'flash-correct' : 'flash-wrong');
+  }
+
+  /**
+   * Update the countdown
+   * @param {number} remaining - Seconds left
+   */
+  updateTimerDisplay(remaining) {
+    this.elements.timerTextEl.textContent = formatTime(remaining);
+    this.elements.timerDisplayEl.style.animation = remaining > 0 && remaining <= SPRINT_WARNING_SECONDS ? 'pulse 0.5s infinite' : '';
+  }
+
+  /**
+   * Update the correct and wrong counters
+   */
+  updateStats() {
+    this.elements.correctCountEl.textContent = this.correctCount;
+    this.elements.wrongCountEl.textContent = this.wrongCount;
+  }
+
+  /**
+   * End the sprint when the time is up
+   */
+  finishSprint() {
+    if (this.isComplete) return;
+    this.isComplete = true;
+    this.timer.stop();
+    this.questionStopwatch?.stop();
+    this.numericEntry.setEnabled(false);
+    this.elements.answerOptionsEl.querySelectorAll('.answer-btn').forEach(btn => {
+      btn.disabled = true;
+    });
+
+    // Saved once and kept, so the results page shows the same record as sprintSessions
+    const result = { ...this.buildResult(), id: `sprint_${Date.now()}` };
+    this.result = result;
+    this.elements.finalThroughputEl.textContent = result.throughput;
+    this.elements.finalAccuracyEl.textContent = `${result.accuracy}%`;
+    this.elements.finalCorrectEl.textContent = result.correctCount;
+    this.elements.finalAnsweredEl.textContent = result.totalQuestions;
+
+    this.elements.completionModalEl.classList.add('show');
+    this.elements.completionModalEl.setAttribute('aria-hidden', 'false');
+
+    const sessions = Storage.load('sprintSessions', []);
+    sessions.push(result);
+    Storage.save('sprintSessions', sessions);
+
+    if (this.settings.soundEnabled) {
+      playSound('correct');
+    }
+  }
+
+  /**
+   * Build the sprint result (the question left unanswered when time ran out is not included)
+   * @returns {Object} Result in the shape of training and exam sessions, with throughput
+   */
+  buildResult() {
+    const questions = this.answers.map((answer, index) => {
+      const q = this.questions[index];
+      return {
+        id: q.id,
+        operator: q.operator,
+        rule: q.rule ?? null,
+        factorA: q.factorA,
+        factorB: q.factorB,
+        correctAnswer: q.correctAnswer,
+        difficulty: q.difficulty,
+        userAnswer: answer.userAnswer,
+        isCorrect: answer.isCorrect,
+        errorType: answer.errorType,
+        responseTime: answer.responseTime,
+        skipped: false
+      };
+    });
+    const { score, accuracy } = scoreResults(questions, this.scoringPolicy);
+    const totalResponseTime = questions.reduce((sum, q) => sum + q.responseTime, 0);
+
+    return {
+      type: 'sprint',
+      score,
+      accuracy,
+      throughput: calculateThroughput(this.correctCount, this.settings.sprintDuration),
+      sprintDuration: this.settings.sprintDuration,
+      scoringPolicy: this.scoringPolicy,
+      correctCount: this.correctCount,
+      wrongCount: this.wrongCount,
+      totalQuestions: questions.length,
+      totalTime: this.settings.sprintDuration,
+      averageResponseTime: questions.length > 0 ? Math.round(totalResponseTime / questions.length) : 0,
+      difficulty: this.settings.difficulty,
+      answerMode: this.settings.answerMode,
+      seed: this.seed,
+      configFingerprint: getConfigFingerprint('sprint', this.settings),
+      timestamp: Date.now(),
+      questions
+    };
+  }
+
+  /**
+   * View detailed results
+   */
+  viewResults() {
+    Storage.save('currentResult', this.result);
+    window.location.href = 'results.html';
+  }
+
+  /**
+   * Start another sprint with the same settings
+   */
+  startNewSprint() {
+    this.elements.completionModalEl.classList.remove('show');
+    this.elements.completionModalEl.setAttribute('aria-hidden', 'true');
+    this.startSprint();
+  }
+
+  /**
+   * Update theme icon
+   */
+  updateThemeIcon() {
+    const icon = document.querySelector('.theme-icon');
+    if (icon) {
+      const currentTheme = document.body.classList.contains('light-theme') ? 'light' : 'dark';
+      icon.textContent = currentTheme === 'light' ? '🌙' : '☀️';
+    }
+  }
+
+  /**
+   * Update language icon
+   */
+  updateLanguageIcon() {
+    const icon = document.querySelector('.lang-icon');
+    if (icon) {
+      const currentLang = document.documentElement.lang;
+      icon.textContent = currentLang === 'ar' ? 'EN' : 'ع';
+    }
+  }
+
+  /**
+   * Update all text elements based on current language
+   */
+  updateTexts() {
+    const currentLang = document.documentElement.lang;
+    document.querySelectorAll('[data-ar][data-en]').forEach(element => {
+      const text = element.getAttribute(`data-${currentLang}`);
+      if (text && element.tagName !== 'INPUT' && element.tagName !== 'TEXTAREA') {
+        element.textContent = text;
+      }
+    });
+  }
+}
+
+// Initialize sprint controller when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new SprintController();
+});
@@ -0,0 +1,16 @@
+// SuperMind Trainer - Sprint Mode
+
+// Selectable sprint lengths in seconds
+export const SPRINT_DURATIONS = [60, 120, 300];
+export const DEFAULT_SPRINT_DURATION = 60;
+
+/**
+ * Throughput of a sprint: correct answers per minute, to one decimal place
+ * @param {number} correctCount - Correct answers
+ * @param {number} durationSeconds - Sprint length in seconds
+ * @returns {number} Correct answers per minute
+ */
+export function calculateThroughput(correctCount, durationSeconds) {
+  if (!durationSeconds) return 0;
+  return Math.round((correctCount / durationSeconds) * 600) / 10;
+}
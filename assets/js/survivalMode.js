@@ -0,0 +1,85 @@
+// SuperMind Trainer - Survival Mode
+
+import { DIFFICULTY_LEVELS } from './questionGenerator.js';
+
+export const SURVIVAL_LIVES = 3;
+
+// Correct answers needed to move up one difficulty level
+export const SURVIVAL_LEVEL_STEP = 5;
+
+/**
+ * Tracks a survival run
+ * The run starts at the easiest level and moves up one level every `levelStep` correct
+ * answers, up to extreme. Every wrong answer costs a life; the run is over when none are left.
+ */
+export class SurvivalRun {
+  /**
+   * @param {Object} options - Run options
+   * @param {number} options.lives - Lives at the start
+   * @param {number} options.levelStep - Correct answers per difficulty level
+   */
+  constructor({ lives = SURVIVAL_LIVES, levelStep = SURVIVAL_LEVEL_STEP } = {}) {
+    this.maxLives = lives;
+    this.lives = lives;
+    this.levelStep = levelStep;
+    this.levelIndex = 0;
+    this.correctCount = 0;
+  }
+
+  /**
+   * Get the current difficulty level (levels never go down, so this is also the highest reached)
+   * @returns {string} Difficulty level
+   */
+  getLevel() {
+    return DIFFICULTY_LEVELS[this.levelIndex];
+  }
+
+  /**
+   * Whether every life is lost
+   * @returns {boolean} True when the run is over
+   */
+  isOver() {
+    return this.lives <= 0;
+  }
+
+  /**
+   * Record an answer
+   * @param {boolean} isCorrect - Whether the answer was correct
+   * @returns {{lifeLost: boolean, levelUp: boolean}} What the answer changed
+   */
+  record(isCorrect) {
+    if (!isCorrect) {
+      this.lives = Math.max(0, this.lives - 1);
+      return { lifeLost: true, levelUp: false };
+    }
+
+    this.correctCount++;
+    const next = Math.min(DIFFICULTY_LEVELS.length - 1, Math.floor(this.correctCount / this.levelStep));
+    const levelUp = next > this.levelIndex;
+    this.levelIndex = next;
+    return { lifeLost: false, levelUp };
+  }
+
+  /**
+   * Share of the correct answers needed for the next level (1 at the top level)
+   * @returns {number} Progress from 0 to 1
+   */
+  getLevelProgress() {
+    if (this.levelIndex === DIFFICULTY_LEVELS.length - 1) return 1;
+    return (this.correctCount % this.levelStep) / this.levelStep;
+  }
+
+  /**
+   * Summarize the run for the saved session
+   * questionsSurvived counts the correct answers: each wrong one cost a life.
+   * @returns {{questionsSurvived: number, highestDifficulty: string, lives: number, livesLost: number}} Summary
+   */
+  getSummary() {
+    return {
+      questionsSurvived: this.correctCount,
+      highestDifficulty: this.getLevel(),
+      lives: this.maxLives,
+      livesLost: this.maxLives - this.lives
+    };
+  }
+}
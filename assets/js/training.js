@@ -1,7 +1,20 @@
 // SuperMind Trainer - Training Mode
 
-import { questionGenerator } from './questionGenerator.js';
-import { Storage, Timer, formatTime, playSound, showNotification, createConfetti } from './utils.js';
+import { questionGenerator, getFactorOptions, DEFAULT_FACTOR_SELECTION, getOperatorSymbol, formatExpression, DIFFICULTY_NAMES } from './questionGenerator.js';
+import { FactScheduler } from './factScheduler.js';
+import { AdaptiveDifficulty } from './adaptiveDifficulty.js';
+import { SurvivalRun } from './survivalMode.js';
+import { getScoringPolicy, scoreResults } from './scoring.js';
+import { getConfigFingerprint } from './examPresets.js';
+import { getHintSteps, getSolutionSteps } from './solutionSteps.js';
+import { Storage, Timer, NumericEntry, formatTime, playSound, showNotification, generateSeed, takeNextSessionSeed, createConfetti, isTouchDevice } from './utils.js';
+
+// How long feedback stays up before the next question; wrong answers leave time to read the solution
+const FEEDBACK_DELAY_MS = 1000;
+const WRONG_FEEDBACK_DELAY_MS = 4000;
+
+// With "master the mistakes", a missed question comes back after this many other questions
+const REQUEUE_GAP = 3;
 
 /**
  * Training Mode Controller
@@ -10,16 +23,26 @@ export class TrainingController {
   constructor() {
     this.currentQuestion = null;
     this.questions = [];
+    this.totalQuestions = 0;
+    this.adaptive = null;
+    this.answers = [];
     this.currentIndex = 0;
     this.score = 0;
+    this.accuracy = 0;
     this.correctCount = 0;
     this.wrongCount = 0;
     this.startTime = null;
     this.timer = null;
-    this.elapsedIntervalId = null;
+    this.elapsedTimer = null;
+    this.questionStopwatch = null;
+    this.hintSteps = [];
+    this.hintsUsed = 0;
     this.settings = this.loadSettings();
+    this.nextSeed = takeNextSessionSeed();
     this.isAnswered = false;
-    this.questionStartTime = null;
+    this.isPaused = false;
+    this.isComplete = false;
+    this.pendingNext = false;
     
     this.initializeElements();
     this.bindEvents();
@@ -43,8 +66,23 @@ export class TrainingController {
       
       // Question elements
       factorAEl: document.getElementById('factor-a'),
+      operatorEl: document.querySelector('.math-problem .operator'),
       factorBEl: document.getElementById('factor-b'),
       answerOptionsEl: document.getElementById('answer-options'),
+
+      // Survival lives
+      livesDisplayEl: document.getElementById('lives-display'),
+      livesHeartsEl: document.getElementById('lives-hearts'),
+
+      // Hints
+      hintBtnEl: document.getElementById('hint-btn'),
+      hintStepsEl: document.getElementById('hint-steps'),
+      
+      // Typed answer elements
+      typedAnswerEl: document.getElementById('typed-answer'),
+      typedAnswerDisplayEl: document.getElementById('typed-answer-display'),
+      numericKeypadEl: document.getElementById('numeric-keypad'),
+      typedAnswerSubmitBtnEl: document.getElementById('typed-answer-submit'),
       
       // Feedback elements
       feedbackSectionEl: document.getElementById('feedback-section'),
@@ -52,11 +90,18 @@ export class TrainingController {
       feedbackIconEl: document.getElementById('feedback-icon'),
       feedbackTextEl: document.getElementById('feedback-text'),
       feedbackExplanationEl: document.getElementById('feedback-explanation'),
+      feedbackSolutionEl: document.getElementById('feedback-solution'),
       
       // Stats elements
       correctCountEl: document.getElementById('correct-count'),
       wrongCountEl: document.getElementById('wrong-count'),
       elapsedTimeEl: document.getElementById('elapsed-time'),
+
+      // Pause
+      questionSectionEl: document.querySelector('.question-section'),
+      pauseBtnEl: document.getElementById('pause-btn'),
+      pauseModalEl: document.getElementById('pause-modal'),
+      resumeTrainingBtnEl: document.getElementById('resume-training'),
       
       // Completion modal
       completionModalEl: document.getElementById('completion-modal'),
@@ -82,11 +127,58 @@ export class TrainingController {
       }
     });
 
+    // Typed answer entry (keyboard and on-screen keypad)
+    this.numericEntry = new NumericEntry({
+      displayEl: this.elements.typedAnswerDisplayEl,
+      keypadEl: this.elements.numericKeypadEl,
+      onSubmit: () => this.submitTypedAnswer()
+    });
+    this.elements.typedAnswerSubmitBtnEl?.addEventListener('click', () => this.submitTypedAnswer());
+
+    // Hints
+    this.elements.hintBtnEl?.addEventListener('click', () => this.showNextHint());
+
+    // Pause and resume
+    this.elements.pauseBtnEl?.addEventListener('click', () => this.pauseTraining());
+    this.elements.resumeTrainingBtnEl?.addEventListener('click', () => this.resumeTraining());
+
+    // Leaving the tab pauses the session so the time away is not counted
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.pauseTraining();
+      }
+    });
+
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
+      if (this.isPaused) {
+        if (e.key === 'Enter' || e.key === 'Escape' || e.key.toLowerCase() === 'p') {
+          e.preventDefault();
+          this.resumeTraining();
+        }
+        return;
+      }
+
+      if (e.key.toLowerCase() === 'p' && !this.isComplete) {
+        e.preventDefault();
+        this.pauseTraining();
+        return;
+      }
+
       if (this.isAnswered) return;
+
+      if (e.key.toLowerCase() === 'h') {
+        e.preventDefault();
+        this.showNextHint();
+        return;
+      }
+
+      if (this.isTypedMode()) {
+        this.numericEntry.handleKeydown(e);
+        return;
+      }
       
-      if (e.key >= '1' && e.key <= '4') {
+      if (this.isOptionKey(e.key)) {
         e.preventDefault();
         this.selectAnswer(parseInt(e.key));
         this.submitAnswer();
@@ -151,7 +243,17 @@ export class TrainingController {
       timerDuration: 4,
       soundEnabled: true,
       difficulty: 'medium',
-      multiplicationRule: 'random'
+      multiplicationRule: 'random',
+      operations: ['multiply'],
+      answerMode: 'choice',
+      optionCount: 4,
+      seed: null,
+      trainingMode: 'standard',
+      adaptiveDifficulty: false,
+      masterMistakes: false,
+      factorSelection: DEFAULT_FACTOR_SELECTION,
+      scoringPolicy: 'standard',
+      questionSet: null
     };
 
     const savedSettings = Storage.load('trainingSettings', defaultSettings);
@@ -162,48 +264,182 @@ export class TrainingController {
    * Start training session
    */
   startTraining() {
-    this.questions = questionGenerator.generateQuestions(this.settings.questionCount, {
-      difficulty: this.settings.difficulty,
-      avoidDuplicates: true,
-      ruleType: this.settings.multiplicationRule === 'random' ? null : parseInt(this.settings.multiplicationRule),
-      useMultiplicationRules: true
-    });
+    // Every session is seeded so it can be regenerated exactly from its record (a seed entered on
+    // the home page only seeds the first session)
+    this.seed = this.settings.seed || this.nextSeed || generateSeed();
+    this.nextSeed = null;
+    this.questions = [];
+    this.adaptive = null;
+    this.survival = null;
+    if (this.isSurvivalMode()) {
+      // Survival runs generate each question when it is reached, at the run's current level
+      this.survival = new SurvivalRun();
+      questionGenerator.clearHistory();
+      questionGenerator.setSeed(this.seed);
+    } else if (this.settings.questionSet) {
+      // A loaded question set replaces generated questions
+      this.questions = questionGenerator.generateQuestionsFromSet(this.settings.questionSet.questions, {
+        answerMode: this.settings.answerMode,
+        optionCount: this.settings.optionCount,
+        seed: this.seed
+      });
+    } else if (this.isReviewMode()) {
+      this.questions = this.generateReviewQuestions();
+    }
+    const needsQuestions = !this.survival && this.questions.length === 0;
+    if (needsQuestions && this.settings.adaptiveDifficulty) {
+      // Adaptive sessions generate each question when it is reached, at the current level
+      this.adaptive = new AdaptiveDifficulty({ startLevel: this.settings.difficulty });
+      questionGenerator.clearHistory();
+      questionGenerator.setSeed(this.seed);
+    } else if (needsQuestions) {
+      this.questions = questionGenerator.generateQuestions(this.settings.questionCount, {
+        difficulty: this.settings.difficulty,
+        avoidDuplicates: true,
+        ruleType: this.settings.multiplicationRule === 'random' ? null : parseInt(this.settings.multiplicationRule),
+        ...getFactorOptions(this.settings.factorSelection),
+        operations: this.settings.operations,
+        answerMode: this.settings.answerMode,
+        optionCount: this.settings.optionCount,
+        seed: this.seed
+      });
+    }
+    this.totalQuestions = this.survival ? Infinity : (this.adaptive ? this.settings.questionCount : this.questions.length);
 
+    this.answers = [];
+    this.attempts = [];
+    this.retryQueue = [];
     this.currentIndex = 0;
     this.score = 0;
+    this.accuracy = 0;
+    this.scoringPolicy = getScoringPolicy(this.settings.scoringPolicy);
     this.correctCount = 0;
     this.wrongCount = 0;
     this.startTime = Date.now();
     this.isAnswered = false;
+    this.isComplete = false;
+    this.pendingNext = false;
 
+    this.applyAnswerMode();
+    this.updateLives();
     this.updateProgress();
     this.showQuestion();
     this.startElapsedTimer();
   }
 
+  /**
+   * Whether this session reviews facts due in the spaced-repetition schedule
+   */
+  isReviewMode() {
+    return this.settings.trainingMode === 'review';
+  }
+
+  /**
+   * Whether this session runs until every survival life is lost
+   */
+  isSurvivalMode() {
+    return this.settings.trainingMode === 'survival';
+  }
+
+  /**
+   * Build the session from facts that are due for review
+   * @returns {Array} Questions (empty if nothing is due)
+   */
+  generateReviewQuestions() {
+    const dueFacts = FactScheduler.getReviewFacts(this.settings.questionCount, this.settings.operations);
+
+    if (dueFacts.length === 0) {
+      showNotification('لا توجد حقائق مستحقة للمراجعة، سيتم توليد أسئلة جديدة', 'info', 3000);
+      return [];
+    }
+
+    return questionGenerator.generateQuestionsForFacts(dueFacts, {
+      difficulty: this.settings.difficulty,
+      answerMode: this.settings.answerMode,
+      optionCount: this.settings.optionCount,
+      seed: this.seed
+    });
+  }
+
+  /**
+   * Generate the next question at the survival or adaptive difficulty level
+   * (survival always uses the difficulty's factor ranges, whatever the factor selection)
+   * @returns {Object} Question
+   */
+  generateLevelQuestion() {
+    return questionGenerator.generateQuestion({
+      difficulty: (this.survival || this.adaptive).getLevel(),
+      avoidDuplicates: true,
+      ruleType: this.settings.multiplicationRule === 'random' ? null : parseInt(this.settings.multiplicationRule),
+      ...getFactorOptions(this.survival ? DEFAULT_FACTOR_SELECTION : this.settings.factorSelection),
+      operations: this.settings.operations,
+      answerMode: this.settings.answerMode,
+      optionCount: this.settings.optionCount
+    });
+  }
+
+  /**
+   * Whether answers are typed instead of chosen
+   */
+  isTypedMode() {
+    return this.settings.answerMode === 'typed';
+  }
+
+  /**
+   * Show answer buttons or the typed answer entry
+   */
+  applyAnswerMode() {
+    const typed = this.isTypedMode();
+    this.elements.answerOptionsEl.style.display = typed ? 'none' : '';
+    if (this.elements.typedAnswerEl) {
+      this.elements.typedAnswerEl.style.display = typed ? 'block' : 'none';
+    }
+    if (this.elements.numericKeypadEl) {
+      // The on-screen keypad is for touch devices; keyboards type directly
+      this.elements.numericKeypadEl.style.display = typed && isTouchDevice() ? '' : 'none';
+    }
+  }
+
   /**
    * Show current question
    */
   showQuestion() {
-    if (this.currentIndex >= this.questions.length) {
+    this.insertDueRetry();
+    if (this.currentIndex >= this.totalQuestions || this.survival?.isOver()) {
       this.completeTraining();
       return;
     }
 
+    if ((this.adaptive || this.survival) && !this.questions[this.currentIndex]) {
+      this.questions.push(this.generateLevelQuestion());
+    }
+
     this.currentQuestion = this.questions[this.currentIndex];
     this.isAnswered = false;
-    this.questionStartTime = Date.now();
+    this.questionStopwatch = new Timer(null);
+    this.questionStopwatch.start();
+    this.resetHints();
 
-    // Update question display
+    // Update question display (squares show only the base with a ² marker)
+    const isSquare = this.currentQuestion.operator === 'square';
     this.elements.factorAEl.textContent = this.currentQuestion.factorA;
-    this.elements.factorBEl.textContent = this.currentQuestion.factorB;
-
-    // Update answer options
-    this.updateAnswerOptions();
+    this.elements.operatorEl.textContent = getOperatorSymbol(this.currentQuestion.operator);
+    this.elements.factorBEl.textContent = isSquare ? '' : this.currentQuestion.factorB;
+    this.elements.factorBEl.style.display = isSquare ? 'none' : '';
 
     // Hide feedback
     this.elements.feedbackSectionEl.style.display = 'none';
 
+    if (this.isTypedMode()) {
+      this.numericEntry.setValue('');
+      this.numericEntry.setEnabled(true);
+      this.elements.typedAnswerDisplayEl.className = 'typed-answer-display';
+      return;
+    }
+
+    // Update answer options
+    this.updateAnswerOptions();
+
     // Focus first answer button
     const firstBtn = this.elements.answerOptionsEl.querySelector('.answer-btn');
     if (firstBtn) {
@@ -211,10 +447,90 @@ export class TrainingController {
     }
   }
 
+  /**
+   * Prepare the hint steps of the current question, none shown yet
+   */
+  resetHints() {
+    this.hintSteps = getHintSteps(this.currentQuestion);
+    this.hintsUsed = 0;
+    if (this.elements.hintStepsEl) {
+      this.elements.hintStepsEl.innerHTML = '';
+      this.elements.hintStepsEl.style.display = 'none';
+    }
+    if (this.elements.hintBtnEl) {
+      this.elements.hintBtnEl.disabled = this.hintSteps.length === 0;
+    }
+  }
+
+  /**
+   * Reveal the next hint step (each one lowers the question's points)
+   */
+  showNextHint() {
+    if (this.isAnswered || this.isPaused || this.hintsUsed >= this.hintSteps.length) return;
+
+    const { ar, en } = this.hintSteps[this.hintsUsed];
+    this.hintsUsed++;
+
+    const item = document.createElement('li');
+    item.dataset.ar = ar;
+    item.dataset.en = en;
+    item.textContent = document.documentElement.lang === 'en' ? en : ar;
+    this.elements.hintStepsEl.appendChild(item);
+    this.elements.hintStepsEl.style.display = '';
+
+    if (this.hintsUsed >= this.hintSteps.length) {
+      this.elements.hintBtnEl.disabled = true;
+    }
+  }
+
+  /**
+   * Queue a missed question to be asked again later in the session
+   * @param {number} originalIndex - Index of the question's first attempt
+   */
+  requeueQuestion(originalIndex) {
+    const original = this.questions[originalIndex];
+    // Rebuilt so the options are shuffled again, but kept under the same id
+    const retry = questionGenerator.buildQuestion(original, {
+      difficulty: original.difficulty,
+      answerMode: this.settings.answerMode,
+      optionCount: this.settings.optionCount
+    });
+    this.retryQueue.push({
+      dueAt: this.currentIndex + REQUEUE_GAP + 1,
+      question: { ...retry, id: original.id, retryOf: originalIndex }
+    });
+    showNotification('سيعود هذا السؤال لاحقاً حتى تجيب عنه إجابة صحيحة', 'info', 2000);
+  }
+
+  /**
+   * Put the next re-queued question in the current slot once it is due
+   * (at the end of the session every waiting question is due)
+   */
+  insertDueRetry() {
+    const [next] = this.retryQueue;
+    if (!next || (next.dueAt > this.currentIndex && this.currentIndex < this.totalQuestions)) return;
+
+    this.retryQueue.shift();
+    this.questions.splice(this.currentIndex, 0, next.question);
+    this.totalQuestions++;
+  }
+
+  /**
+   * Indices of the session's own questions (re-queued copies excluded)
+   * @returns {Array} Question indices
+   */
+  getOriginalIndices() {
+    return this.questions.map((q, index) => index).filter(index => this.questions[index].retryOf === undefined);
+  }
+
   /**
    * Update answer options display
    */
   updateAnswerOptions() {
+    const options = this.currentQuestion.options;
+    if (this.elements.answerOptionsEl.querySelectorAll('.answer-btn').length !== options.length) {
+      this.renderAnswerButtons(options.length);
+    }
     const buttons = this.elements.answerOptionsEl.querySelectorAll('.answer-btn');
     
     buttons.forEach((btn, index) => {
@@ -229,6 +545,32 @@ export class TrainingController {
     });
   }
 
+  /**
+   * Render one answer button per option
+   */
+  renderAnswerButtons(count) {
+    this.elements.answerOptionsEl.innerHTML = '';
+    for (let i = 1; i <= count; i++) {
+      const btn = document.createElement('button');
+      btn.className = 'answer-btn';
+      btn.dataset.answer = i;
+      btn.tabIndex = i;
+      btn.innerHTML = `
+        <span class="answer-number">${i}</span>
+        <span class="answer-value" id="answer-${i}"></span>
+      `;
+      this.elements.answerOptionsEl.appendChild(btn);
+    }
+  }
+
+  /**
+   * Whether a key selects one of the current question's options
+   */
+  isOptionKey(key) {
+    const position = parseInt(key);
+    return /^[1-9]$/.test(key) && position <= (this.currentQuestion?.options.length || 0);
+  }
+
   /**
    * Select an answer
    */
@@ -263,28 +605,6 @@ export class TrainingController {
 
     this.isAnswered = true;
     const isCorrect = selectedOption.isCorrect;
-    const responseTime = Date.now() - this.questionStartTime;
-
-    // Update score
-    if (isCorrect) {
-      this.correctCount++;
-      this.score = Math.round((this.correctCount / (this.correctCount + this.wrongCount)) * 100);
-    } else {
-      this.wrongCount++;
-      this.score = Math.round((this.correctCount / (this.correctCount + this.wrongCount)) * 100);
-    }
-
-    // Show feedback
-    this.showFeedback(isCorrect, selectedOption, responseTime);
-
-    // Play sound
-    if (this.settings.soundEnabled) {
-      playSound(isCorrect ? 'correct' : 'wrong');
-    }
-
-    // Update stats
-    this.updateStats();
-
 
     // Disable all answer buttons
     this.elements.answerOptionsEl.querySelectorAll('.answer-btn').forEach(btn => {
@@ -298,34 +618,131 @@ export class TrainingController {
       }
     });
 
+    this.completeAnswer(isCorrect, selectedOption.value, selectedOption.strategy);
+  }
+
+  /**
+   * Submit the typed answer
+   */
+  submitTypedAnswer() {
+    if (this.isAnswered || !this.isTypedMode()) return;
+
+    const value = this.numericEntry.getNumber();
+    if (value === null) return;
+
+    this.isAnswered = true;
+    const isCorrect = value === this.currentQuestion.correctAnswer;
+
+    this.numericEntry.setEnabled(false);
+    this.elements.typedAnswerDisplayEl.classList.add(isCorrect ? 'correct' : 'wrong');
+
+    const errorType = questionGenerator.classifyAnswer(this.currentQuestion, value);
+    this.completeAnswer(isCorrect, value, errorType);
+  }
+
+  /**
+   * Grade and record an answer, then move on
+   * @param {boolean} isCorrect - Whether the answer is correct
+   * @param {number} userAnswer - Given answer
+   * @param {string|null} errorType - Misconception behind a wrong answer
+   */
+  completeAnswer(isCorrect, userAnswer, errorType = null) {
+    this.questionStopwatch.stop();
+    const responseTime = Math.round(this.questionStopwatch.getElapsedMs());
+
+    // Update score (from first attempts; re-queued questions only count towards attempts)
+    const originalIndex = this.currentQuestion.retryOf ?? this.currentIndex;
+    this.attempts[originalIndex] = (this.attempts[originalIndex] || 0) + 1;
+    if (this.currentQuestion.retryOf === undefined) {
+      if (isCorrect) {
+        this.correctCount++;
+      } else {
+        this.wrongCount++;
+      }
+    }
+    if (this.survival) {
+      const { levelUp } = this.survival.record(isCorrect);
+      this.updateLives();
+      if (levelUp) {
+        showNotification(`مستوى أصعب: ${DIFFICULTY_NAMES[this.survival.getLevel()].ar}`, 'success', 2000);
+      }
+    } else if (!isCorrect && this.settings.masterMistakes) {
+      this.requeueQuestion(originalIndex);
+    }
+    const hintsUsed = this.hintsUsed;
+    this.answers[this.currentIndex] = { userAnswer, isCorrect, responseTime, errorType, hintsUsed };
+    if (this.elements.hintBtnEl) {
+      this.elements.hintBtnEl.disabled = true;
+    }
+    this.updateScore();
+    if (this.adaptive) {
+      this.adaptive.record(isCorrect, responseTime);
+    }
+
+    // Show feedback
+    this.showFeedback(isCorrect, userAnswer, responseTime);
+
+    // Play sound
+    if (this.settings.soundEnabled) {
+      playSound(isCorrect ? 'correct' : 'wrong');
+    }
+
+    // Update stats
+    this.updateStats();
+
     // Save question result
-    this.saveQuestionResult(isCorrect, responseTime);
+    this.saveQuestionResult(isCorrect, responseTime, userAnswer, errorType, hintsUsed);
 
     // Auto move to next question after delay
     setTimeout(() => {
       this.nextQuestion();
-    }, 1000);
+    }, isCorrect ? FEEDBACK_DELAY_MS : WRONG_FEEDBACK_DELAY_MS);
   }
 
   /**
    * Show feedback for the answer
    */
-  showFeedback(isCorrect, selectedOption, responseTime) {
+  showFeedback(isCorrect, userAnswer, responseTime) {
     this.elements.feedbackIconEl.textContent = isCorrect ? '✅' : '❌';
     this.elements.feedbackTextEl.textContent = isCorrect ? 
       'إجابة صحيحة!' : 'إجابة خاطئة!';
     
-    const explanation = `${this.currentQuestion.factorA} × ${this.currentQuestion.factorB} = ${this.currentQuestion.correctAnswer}`;
+    const explanation = `${formatExpression(this.currentQuestion)} = ${this.currentQuestion.correctAnswer}`;
     this.elements.feedbackExplanationEl.textContent = explanation;
+    this.renderSolution();
 
     this.elements.feedbackCardEl.className = `feedback-card ${isCorrect ? 'correct' : 'wrong'}`;
     this.elements.feedbackSectionEl.style.display = 'block';
   }
 
+  /**
+   * Show the worked solution of the current question in the feedback card
+   */
+  renderSolution() {
+    const listEl = this.elements.feedbackSolutionEl;
+    if (!listEl) return;
+
+    const isEnglish = document.documentElement.lang === 'en';
+    listEl.innerHTML = '';
+    getSolutionSteps(this.currentQuestion).forEach(({ ar, en }) => {
+      const item = document.createElement('li');
+      item.dataset.ar = ar;
+      item.dataset.en = en;
+      item.textContent = isEnglish ? en : ar;
+      listEl.appendChild(item);
+    });
+  }
+
   /**
    * Move to next question
    */
   nextQuestion() {
+    // Wait for the student to come back from a pause
+    if (this.isPaused) {
+      this.pendingNext = true;
+      return;
+    }
+
     this.currentIndex++;
     this.updateProgress();
     this.showQuestion();
@@ -335,13 +752,29 @@ export class TrainingController {
    * Update progress display
    */
   updateProgress() {
-    const progress = (this.currentIndex / this.questions.length) * 100;
+    // A survival run has no question count; its bar shows the way to the next level
+    const progress = this.survival ? this.survival.getLevelProgress() * 100 : (this.currentIndex / this.totalQuestions) * 100;
     this.elements.progressFillEl.style.width = `${progress}%`;
     this.elements.currentQuestionEl.textContent = this.currentIndex + 1;
-    this.elements.totalQuestionsEl.textContent = this.questions.length;
+    this.elements.totalQuestionsEl.textContent = this.survival ? '∞' : this.totalQuestions;
     this.elements.currentScoreEl.textContent = this.score;
   }
 
+  /**
+   * Show the lives left in a survival run (hidden in other sessions)
+   */
+  updateLives() {
+    const { livesDisplayEl, livesHeartsEl } = this.elements;
+    if (!livesDisplayEl) return;
+
+    livesDisplayEl.style.display = this.survival ? '' : 'none';
+    if (!this.survival) return;
+
+    const { lives, maxLives } = this.survival;
+    livesHeartsEl.textContent = '❤️'.repeat(lives) + '🖤'.repeat(maxLives - lives);
+    livesDisplayEl.setAttribute('aria-label', `${lives} / ${maxLives}`);
+  }
+
   /**
    * Update statistics display
    */
@@ -354,23 +787,71 @@ export class TrainingController {
    * Start elapsed time timer
    */
   startElapsedTimer() {
-    if (this.elapsedIntervalId) {
-      clearInterval(this.elapsedIntervalId);
-      this.elapsedIntervalId = null;
+    this.elapsedTimer?.stop();
+    this.elements.elapsedTimeEl.textContent = formatTime(0);
+    this.elapsedTimer = new Timer(null, (elapsed) => {
+      this.elements.elapsedTimeEl.textContent = formatTime(elapsed);
+    });
+    this.elapsedTimer.start();
+  }
+
+  /**
+   * Pause the session: the question is hidden and no time is counted
+   */
+  pauseTraining() {
+    if (this.isPaused || this.isComplete) return;
+
+    this.isPaused = true;
+    this.elapsedTimer?.pause();
+    this.questionStopwatch?.pause();
+    this.elements.questionSectionEl?.classList.add('paused');
+    this.elements.pauseBtnEl?.setAttribute('aria-pressed', 'true');
+    this.elements.pauseModalEl?.classList.add('show');
+    this.elements.pauseModalEl?.setAttribute('aria-hidden', 'false');
+    this.elements.resumeTrainingBtnEl?.focus();
+  }
+
+  /**
+   * Resume a paused session
+   */
+  resumeTraining() {
+    if (!this.isPaused) return;
+
+    this.isPaused = false;
+    this.elements.pauseModalEl?.classList.remove('show');
+    this.elements.pauseModalEl?.setAttribute('aria-hidden', 'true');
+    this.elements.pauseBtnEl?.setAttribute('aria-pressed', 'false');
+    this.elements.questionSectionEl?.classList.remove('paused');
+    this.elapsedTimer?.resume();
+    this.questionStopwatch?.resume();
+
+    if (this.pendingNext) {
+      // The answer feedback finished during the pause
+      this.pendingNext = false;
+      this.nextQuestion();
     }
-    this.elapsedIntervalId = setInterval(() => {
-      if (this.startTime) {
-        const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-        this.elements.elapsedTimeEl.textContent = formatTime(elapsed);
-      }
-    }, 1000);
+  }
+
+  /**
+   * Score the answered questions under the session's scoring policy
+   */
+  updateScore() {
+    const answered = this.getOriginalIndices()
+      .map(index => this.answers[index] && { ...this.answers[index], difficulty: this.questions[index].difficulty })
+      .filter(Boolean);
+    const { score, accuracy } = scoreResults(answered, this.scoringPolicy);
+    this.score = score;
+    this.accuracy = accuracy;
   }
 
   /**
    * Complete training session
    */
   completeTraining() {
-    const totalTime = Math.floor((Date.now() - this.startTime) / 1000);
+    this.isComplete = true;
+    this.elapsedTimer.stop();
+    this.questionStopwatch?.stop();
+    const totalTime = this.elapsedTimer.getElapsed();
     
     // Update completion modal
     this.elements.finalScoreEl.textContent = `${this.score}%`;
@@ -402,17 +883,25 @@ export class TrainingController {
   /**
    * Save question result
    */
-  saveQuestionResult(isCorrect, responseTime) {
+  saveQuestionResult(isCorrect, responseTime, userAnswer, errorType, hintsUsed = 0) {
     const result = {
       questionId: this.currentQuestion.id,
+      operator: this.currentQuestion.operator,
       factorA: this.currentQuestion.factorA,
       factorB: this.currentQuestion.factorB,
       correctAnswer: this.currentQuestion.correctAnswer,
+      userAnswer,
       isCorrect,
+      errorType,
       responseTime,
+      hintsUsed,
       timestamp: Date.now()
     };
 
+    // Reschedule the fact for spaced repetition (before it is logged: a schedule built from the
+    // log for the first time would otherwise count this answer twice)
+    FactScheduler.record(result, result.timestamp);
+
     const results = Storage.load('trainingResults', []);
     results.push(result);
     Storage.save('trainingResults', results);
@@ -426,19 +915,24 @@ export class TrainingController {
       id: `training_${Date.now()}`,
       type: 'training',
       score: this.score,
+      accuracy: this.accuracy,
+      scoringPolicy: this.scoringPolicy,
       correctCount: this.correctCount,
       wrongCount: this.wrongCount,
-      totalQuestions: this.questions.length,
+      totalQuestions: this.getOriginalIndices().length,
       totalTime,
       averageResponseTime: this.calculateAverageResponseTime(),
-      difficulty: this.settings.difficulty,
+      difficulty: this.survival ? this.survival.getLevel() : this.settings.difficulty,
+      answerMode: this.settings.answerMode,
+      trainingMode: this.settings.trainingMode,
+      adaptiveDifficulty: Boolean(this.adaptive),
+      masterMistakes: Boolean(this.settings.masterMistakes),
+      survival: this.survival ? this.survival.getSummary() : null,
+      questionSet: this.settings.questionSet ? { title: this.settings.questionSet.title, author: this.settings.questionSet.author } : null,
+      seed: this.seed,
+      configFingerprint: getConfigFingerprint('training', this.settings),
       timestamp: Date.now(),
-      questions: this.questions.map(q => ({
-        id: q.id,
-        factorA: q.factorA,
-        factorB: q.factorB,
-        correctAnswer: q.correctAnswer
-      }))
+      questions: this.buildQuestionResults()
     };
 
     const results = Storage.load('trainingSessions', []);
@@ -449,6 +943,32 @@ export class TrainingController {
     this.updateQuickStats();
   }
 
+  /**
+   * Build per-question results in the same shape as exam sessions
+   */
+  buildQuestionResults() {
+    return this.getOriginalIndices().map(index => {
+      const q = this.questions[index];
+      const answer = this.answers[index];
+      return {
+        id: q.id,
+        operator: q.operator,
+        rule: q.rule ?? null,
+        factorA: q.factorA,
+        factorB: q.factorB,
+        correctAnswer: q.correctAnswer,
+        difficulty: q.difficulty,
+        userAnswer: answer ? answer.userAnswer : null,
+        isCorrect: answer ? answer.isCorrect : false,
+        errorType: answer ? answer.errorType : null,
+        responseTime: answer ? answer.responseTime : 0,
+        hintsUsed: answer ? answer.hintsUsed || 0 : 0,
+        attempts: this.attempts[index] || 0,
+        skipped: !answer
+      };
+    });
+  }
+
   /**
    * Calculate average response time
    */
@@ -496,11 +1016,23 @@ export class TrainingController {
     const result = {
       type: 'training',
       score: this.score,
+      accuracy: this.accuracy,
+      scoringPolicy: this.scoringPolicy,
       correctCount: this.correctCount,
       wrongCount: this.wrongCount,
-      totalQuestions: this.questions.length,
-      totalTime: Math.floor((Date.now() - this.startTime) / 1000),
-      questions: this.questions
+      totalQuestions: this.getOriginalIndices().length,
+      totalTime: this.elapsedTimer.getElapsed(),
+      averageResponseTime: this.calculateAverageResponseTime(),
+      difficulty: this.survival ? this.survival.getLevel() : this.settings.difficulty,
+      answerMode: this.settings.answerMode,
+      trainingMode: this.settings.trainingMode,
+      adaptiveDifficulty: Boolean(this.adaptive),
+      masterMistakes: Boolean(this.settings.masterMistakes),
+      survival: this.survival ? this.survival.getSummary() : null,
+      questionSet: this.settings.questionSet ? { title: this.settings.questionSet.title, author: this.settings.questionSet.author } : null,
+      seed: this.seed,
+      configFingerprint: getConfigFingerprint('training', this.settings),
+      questions: this.buildQuestionResults()
     };
 
     Storage.save('currentResult', result);
@@ -513,10 +1045,8 @@ export class TrainingController {
   startNewTraining() {
     this.elements.completionModalEl.classList.remove('show');
     this.elements.completionModalEl.setAttribute('aria-hidden', 'true');
-    if (this.elapsedIntervalId) {
-      clearInterval(this.elapsedIntervalId);
-      this.elapsedIntervalId = null;
-    }
+    this.elapsedTimer?.stop();
+    this.questionStopwatch?.stop();
     this.startTraining();
   }
 
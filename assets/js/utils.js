@@ -63,41 +63,76 @@ export const Storage = {
   }
 };
 
+// How often a running Timer checks its clock (the shown time changes once per second)
+const TIMER_TICK_MS = 250;
+
 /**
  * Timer utility class
+ * Time is measured against a monotonic clock instead of counting interval ticks, so
+ * throttled ticks in background tabs never make it drift. A null duration makes it a
+ * stopwatch that counts up and never completes. stop() and pause() keep the time used
+ * so far; start() or resume() continues from there.
  */
 export class Timer {
-  constructor(duration, onTick, onComplete) {
+  /**
+   * @param {number|null} duration - Seconds to count down, or null to count up
+   * @param {Function} onTick - Called with the seconds left (elapsed for a stopwatch) when the shown second changes
+   * @param {Function} onComplete - Called once when the countdown reaches zero
+   * @param {Object} options - Timer options
+   * @param {Function} options.clock - Returns the current time in ms (performance.now unless a test injects one)
+   */
+  constructor(duration, onTick, onComplete, { clock = () => performance.now() } = {}) {
     this.duration = duration;
     this.onTick = onTick;
     this.onComplete = onComplete;
-    this.remaining = duration;
+    this.clock = clock;
+    this.usedMs = 0;
+    this.runStartedAt = null;
     this.intervalId = null;
     this.isRunning = false;
+    this.isPaused = false;
+    this.lastShown = this.getShownValue();
   }
 
   start() {
-    if (this.isRunning) return;
-    
+    if (this.isRunning || this.isExpired()) return;
+
     this.isRunning = true;
-    this.intervalId = setInterval(() => {
-      this.remaining--;
+    this.isPaused = false;
+    this.runStartedAt = this.clock();
+    // A stopwatch without callbacks is only read through getElapsedMs, so it needs no interval
+    if (this.onTick || this.onComplete) {
+      this.intervalId = setInterval(() => this.tick(), TIMER_TICK_MS);
+    }
+  }
+
+  /**
+   * Check the clock (run by the interval; tests with an injected clock can call it directly)
+   */
+  tick() {
+    if (!this.isRunning) return;
+
+    const shown = this.getShownValue();
+    if (shown !== this.lastShown) {
+      this.lastShown = shown;
       if (this.onTick) {
-        this.onTick(this.remaining);
+        this.onTick(shown);
       }
-      
-      if (this.remaining <= 0) {
-        this.stop();
-        if (this.onComplete) {
-          this.onComplete();
-        }
+    }
+
+    if (this.isExpired()) {
+      this.stop();
+      if (this.onComplete) {
+        this.onComplete();
       }
-    }, 1000);
+    }
   }
 
   stop() {
     if (!this.isRunning) return;
-    
+
+    this.usedMs = this.getElapsedMs();
+    this.runStartedAt = null;
     this.isRunning = false;
     if (this.intervalId) {
       clearInterval(this.intervalId);
@@ -105,13 +140,54 @@ export class Timer {
     }
   }
 
+  pause() {
+    if (!this.isRunning) return;
+
+    this.stop();
+    this.isPaused = true;
+  }
+
+  resume() {
+    if (this.isPaused) {
+      this.start();
+    }
+  }
+
   reset() {
     this.stop();
-    this.remaining = this.duration;
+    this.isPaused = false;
+    this.usedMs = 0;
+    this.lastShown = this.getShownValue();
+  }
+
+  /**
+   * Time used so far, in ms (paused time excluded)
+   */
+  getElapsedMs() {
+    return this.usedMs + (this.isRunning ? this.clock() - this.runStartedAt : 0);
+  }
+
+  /**
+   * Whole seconds used so far
+   */
+  getElapsed() {
+    return Math.floor(this.getElapsedMs() / 1000);
   }
 
+  /**
+   * Seconds left, rounded up (null for a stopwatch)
+   */
   getRemaining() {
-    return this.remaining;
+    if (this.duration === null) return null;
+    return Math.max(0, Math.ceil((this.duration * 1000 - this.getElapsedMs()) / 1000));
+  }
+
+  isExpired() {
+    return this.duration !== null && this.getElapsedMs() >= this.duration * 1000;
+  }
+
+  getShownValue() {
+    return this.duration === null ? this.getElapsed() : this.getRemaining();
   }
 
   isActive() {
@@ -119,6 +195,81 @@ export class Timer {
   }
 }
 
+/**
+ * Numeric answer entry
+ * Keyboard keys and on-screen keypad buttons (data-key="0-9|backspace|clear|enter") edit the same value.
+ */
+export class NumericEntry {
+  constructor({ displayEl, keypadEl, maxLength = 7, onChange, onSubmit }) {
+    this.displayEl = displayEl;
+    this.keypadEl = keypadEl;
+    this.maxLength = maxLength;
+    this.onChange = onChange;
+    this.onSubmit = onSubmit;
+    this.value = '';
+    this.enabled = true;
+
+    this.keypadEl?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-key]');
+      if (btn) {
+        this.press(btn.dataset.key);
+      }
+    });
+  }
+
+  press(key) {
+    if (!this.enabled) return;
+
+    if (/^[0-9]$/.test(key)) {
+      if (this.value.length < this.maxLength) {
+        this.setValue(this.value + key, true);
+      }
+    } else if (key === 'backspace') {
+      this.setValue(this.value.slice(0, -1), true);
+    } else if (key === 'clear') {
+      this.setValue('', true);
+    } else if (key === 'enter' && this.value !== '' && this.onSubmit) {
+      this.onSubmit(this.getNumber());
+    }
+  }
+
+  /**
+   * Handle a keydown event
+   * @param {KeyboardEvent} e - Keyboard event
+   * @returns {boolean} True if the key was handled
+   */
+  handleKeydown(e) {
+    const keyMap = { Backspace: 'backspace', Delete: 'clear', Escape: 'clear', Enter: 'enter' };
+    const key = /^[0-9]$/.test(e.key) ? e.key : keyMap[e.key];
+    if (!key) return false;
+
+    e.preventDefault();
+    this.press(key);
+    return true;
+  }
+
+  setValue(value, notify = false) {
+    this.value = String(value ?? '');
+    if (this.displayEl) {
+      this.displayEl.textContent = this.value;
+    }
+    if (notify && this.onChange) {
+      this.onChange(this.value);
+    }
+  }
+
+  getNumber() {
+    return this.value === '' ? null : parseInt(this.value, 10);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.keypadEl?.querySelectorAll('[data-key]').forEach(btn => {
+      btn.disabled = !enabled;
+    });
+  }
+}
+
 /**
  * Format time in MM:SS format
  * @param {number} seconds - Time in seconds
@@ -134,26 +285,89 @@ export function formatTime(seconds) {
  * Generate random number between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} rng - Random source returning [0, 1) (defaults to Math.random)
  * @returns {number} Random number
  */
-export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, rng = Math.random) {
+  return Math.floor(rng() * (max - min + 1)) + min;
 }
 
 /**
  * Shuffle array in place using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} rng - Random source returning [0, 1) (defaults to Math.random)
  * @returns {Array} Shuffled array
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, rng = Math.random) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * The same seed always yields the same sequence, so question sets can be regenerated.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Random source returning [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a new random seed for a question set
+ * @returns {number} Seed between 1 and 999999999
+ */
+export function generateSeed() {
+  return randomInt(1, 999999999);
+}
+
+// Storage key of a seed entered for the next session only
+const NEXT_SESSION_SEED_KEY = 'nextSessionSeed';
+
+/**
+ * Hand a seed to the next session started (later sessions get new seeds)
+ * @param {number|null} seed - Seed, or null for none
+ */
+export function setNextSessionSeed(seed) {
+  if (seed) {
+    Storage.save(NEXT_SESSION_SEED_KEY, seed);
+  } else {
+    Storage.remove(NEXT_SESSION_SEED_KEY);
+  }
+}
+
+/**
+ * Take the seed handed to the next session, if any (it is only given out once)
+ * @returns {number|null} Seed
+ */
+export function takeNextSessionSeed() {
+  const seed = Storage.load(NEXT_SESSION_SEED_KEY, null);
+  Storage.remove(NEXT_SESSION_SEED_KEY);
+  return seed;
+}
+
+/**
+ * Parse a user-entered seed
+ * @param {string|number|null} value - Raw seed value
+ * @returns {number|null} Seed, or null if empty or invalid
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const seed = Number(String(value).trim());
+  return Number.isInteger(seed) && seed > 0 && seed <= 4294967295 ? seed : null;
+}
+
 /**
  * Calculate percentage
  * @param {number} value - Value